@@ -7,6 +7,9 @@
 let currentWizardStep = 1;
 let wizardData = {
     source: null,
+    productId: null,
+    unitType: 'puffs',
+    unitSize: null,
     quantity: null,
     strength: null,
     healthEffects: [],
@@ -14,18 +17,39 @@ let wizardData = {
     otherReason: null
 };
 
+// Logs of the current tracking day, loaded when the wizard opens
+let wizardDayLogs = [];
+
+// Timer hiding the current toast
+let toastTimer = null;
+
+// Logs behind the live body level estimate: { from, revision, logs }
+let bodyLevelLogs = null;
+
 /**
  * Initialize the application
  */
-function initApp() {
-    // FORCE CLEANUP: Remove any existing mock/sample data from previous versions
-    const logs = loadLogs();
-    const hasSampleData = logs.some(log => log.id && String(log.id).startsWith('sample-'));
-    if (hasSampleData) {
-        console.log('Cleaning up old sample data...');
-        localStorage.removeItem('nicotracker_logs');
-        // Optional: also reset settings if they were modified by mock logic
-        // localStorage.removeItem('nicotracker_settings');
+async function initApp() {
+    // Cache the app for offline use and watch for updates
+    registerServiceWorker();
+    
+    // Tapped check-in reminders are handled once the data is readable
+    setupCheckInLinks();
+    
+    // A PIN change cut short by a closed tab is completed before the lock is read
+    await finishLockSwitch();
+    
+    // Encrypted data can only be read once the PIN has been entered
+    if (isLockEnabled()) {
+        await waitForUnlock();
+    }
+    
+    // Upgrade stored data from older versions before anything reads it
+    try {
+        await runMigrations();
+    } catch (error) {
+        console.error('Error running migrations:', error);
+        showToast('Could not open your saved data', 'error');
     }
 
     // Set up event listeners
@@ -40,6 +64,24 @@ function initApp() {
     
     // Ensure dashboard nav is active on load
     switchView('dashboardView');
+    
+    // Opened from a check-in reminder: go straight to that check-in
+    openCheckInLink();
+    
+    // Page timers of pending check-in reminders were lost with the last page
+    restoreCheckInReminders();
+    
+    // Lock again after inactivity (only has an effect while a PIN is set)
+    startAutoLock();
+    
+    // Body levels change continuously; refresh the live estimate every minute
+    // while it can be seen, and straight away when the app comes back
+    setInterval(() => {
+        if (!document.hidden) updateBodyLevels();
+    }, 60000);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) updateBodyLevels();
+    });
 }
 
 /**
@@ -63,6 +105,12 @@ function setupEventListeners() {
     document.getElementById('settingsBtn').addEventListener('click', () => {
         openModal('settingsModal');
         loadSettingsIntoUI();
+        resetProductForm();
+        renderProductList();
+        renderChoiceSettings();
+        renderPresetList();
+        updateUndoImportButton();
+        updateLockSettingsUI();
     });
     
     document.getElementById('infoBtn').addEventListener('click', () => {
@@ -99,18 +147,26 @@ function setupEventListeners() {
         confirmWizard();
     });
     
+    document.getElementById('limitAcknowledge').addEventListener('change', () => {
+        validateWizardStep(4);
+    });
+    
     // Wizard step 1: Source selection
     document.querySelectorAll('input[name="source"]').forEach(radio => {
         radio.addEventListener('change', (e) => {
             wizardData.source = e.target.value;
+            clearWizardProduct();
             showQuantityInput();
+            updateEstimatedMg();
             validateWizardStep(1);
         });
     });
     
     // Quantity input
     document.getElementById('quantity').addEventListener('input', (e) => {
-        wizardData.quantity = parseInt(e.target.value) || null;
+        // Pods and ml are often logged in fractions, e.g. 0.5 ml
+        const quantity = parseFloat(e.target.value);
+        wizardData.quantity = quantity > 0 ? quantity : null;
         updateEstimatedMg();
         validateWizardStep(1);
     });
@@ -119,34 +175,33 @@ function setupEventListeners() {
     document.getElementById('strengthSlider').addEventListener('input', (e) => {
         wizardData.strength = parseFloat(e.target.value);
         document.getElementById('strengthValue').textContent = wizardData.strength.toFixed(1);
+        clearWizardProduct();
         updateEstimatedMg();
         validateWizardStep(1);
     });
     
-    // Health effects checkboxes
-    document.querySelectorAll('input[name="healthEffects"]').forEach(checkbox => {
-        checkbox.addEventListener('change', (e) => {
-            if (e.target.checked) {
-                wizardData.healthEffects.push(e.target.value);
-            } else {
-                wizardData.healthEffects = wizardData.healthEffects.filter(v => v !== e.target.value);
-            }
-            validateWizardStep(2);
-        });
+    // Health effects checkboxes (rendered from the effect list on each open)
+    document.getElementById('healthEffectOptions').addEventListener('change', (e) => {
+        if (e.target.name !== 'healthEffects') return;
+        if (e.target.checked) {
+            wizardData.healthEffects.push(e.target.value);
+        } else {
+            wizardData.healthEffects = wizardData.healthEffects.filter(v => v !== e.target.value);
+        }
+        validateWizardStep(2);
     });
     
-    // Reason radio buttons
-    document.querySelectorAll('input[name="reason"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            wizardData.reason = e.target.value;
-            if (e.target.value === 'Other') {
-                document.getElementById('otherReasonGroup').style.display = 'block';
-            } else {
-                document.getElementById('otherReasonGroup').style.display = 'none';
-                wizardData.otherReason = null;
-            }
-            validateWizardStep(3);
-        });
+    // Reason radio buttons (rendered from the reason list on each open)
+    document.getElementById('reasonOptions').addEventListener('change', (e) => {
+        if (e.target.name !== 'reason') return;
+        wizardData.reason = e.target.value;
+        if (e.target.value === OTHER_REASON) {
+            document.getElementById('otherReasonGroup').style.display = 'block';
+        } else {
+            document.getElementById('otherReasonGroup').style.display = 'none';
+            wizardData.otherReason = null;
+        }
+        validateWizardStep(3);
     });
     
     // Other reason input
@@ -183,27 +238,77 @@ function setupEventListeners() {
         saveSettingsFromUI();
     });
     
-    document.getElementById('exportDataBtn').addEventListener('click', () => {
-        exportData();
-        showToast('Data exported successfully!');
-    });
-    
-    document.getElementById('importDataBtn').addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            importData(file)
-                .then(result => {
-                    showToast(result.message);
-                    updateDashboard();
-                    updateAllCharts();
-                    closeModal('settingsModal');
-                })
-                .catch(error => {
-                    showToast(error.message || 'Failed to import data', 'error');
-                });
+    document.getElementById('morningLimitEnabled').addEventListener('change', (e) => {
+        document.getElementById('morningLimitSettings').style.display = e.target.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('checkInRemindersEnabled').addEventListener('change', async (e) => {
+        if (e.target.checked) {
+            await requestReminderPermission();
         }
+        updateReminderSettingsUI(e.target.checked);
+    });
+    
+    document.getElementById('recalculateLogsBtn').addEventListener('click', () => {
+        recalculateLogsFromUI();
+    });
+    
+    document.getElementById('exportDataBtn').addEventListener('click', () => {
+        exportData()
+            .then(() => {
+                showToast('Data exported successfully!');
+            })
+            .catch(error => {
+                showToast(error.message || 'Failed to export data', 'error');
+            });
+    });
+    
+    document.getElementById('exportEncryptedBtn').addEventListener('click', () => {
+        exportEncryptedFromUI();
     });
     
+    // Passphrase prompt for encrypted backups
+    setupPassphraseEventListeners();
+    
+    // JSON import preview and undo
+    setupImportEventListeners();
+    
+    // App lock settings
+    setupLockEventListeners();
+    
+    // History view and log editor
+    setupHistoryEventListeners();
+    
+    // Product catalog
+    setupProductEventListeners();
+    
+    // Health effect and reason lists
+    setupChoiceEventListeners();
+    
+    // Craving log
+    setupCravingEventListeners();
+    
+    // Check-in intake picker
+    setupCheckInEventListeners();
+    
+    // Taper plan builder and progress
+    setupTaperEventListeners();
+    
+    // Quit date, milestones and savings
+    setupQuitEventListeners();
+    
+    // Streak goals and calendar
+    setupStreakEventListeners();
+    
+    // Chart controls
+    setupChartEventListeners();
+    
+    // Quick-log buttons and presets
+    setupQuickLogEventListeners();
+    
+    // CSV export and import
+    setupCsvEventListeners();
+    
     // Close modals on backdrop click
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
@@ -248,95 +353,190 @@ function switchView(viewId) {
             updateAllCharts();
         }, 100);
     }
+    
+    if (viewId === 'historyView') {
+        renderHistory();
+    }
+    
+    if (viewId === 'cognitiveView') {
+        populateCheckInIntakes();
+    }
 }
 
+/**
+ * Ring/status colours for each Body Battery state: [hex, rgb triplet]
+ */
+const BATTERY_STATUS_COLORS = {
+    normal: ['#00d4ff', '0, 212, 255'],
+    warning: ['#ff6b35', '255, 107, 53'],
+    danger: ['#ff4757', '255, 71, 87']
+};
+
 /**
  * Update dashboard with current data
+ * @returns {Promise<void>}
  */
-function updateDashboard() {
-    const logs = loadLogs();
+async function updateDashboard() {
     const settings = loadSettings();
-    const today = new Date().toISOString().split('T')[0];
+    const today = getTodayKey();
+    // A taper plan replaces the fixed mg limit while it runs
+    const mgLimit = getDailyMgLimit(today, settings);
     
     // Calculate today's totals
-    const todayLogs = logs.filter(log => log.date === today);
+    const todayLogs = await getLogsByDate(today);
     const totalMgToday = todayLogs.reduce((sum, log) => sum + (log.estimatedMg || 0), 0);
-    const eventCountToday = todayLogs.length;
+    const eventCountToday = todayLogs.filter(isIntakeLog).length;
     
-    // Calculate percentage of daily limit
-    const percentage = Math.min(100, (totalMgToday / settings.dailyMgLimit) * 100);
+    // Calculate how far the daily limits are used up
+    const mgUsage = getLimitUsage(totalMgToday, mgLimit);
+    const eventUsage = getLimitUsage(eventCountToday, settings.dailyEventLimit);
+    const percentage = mgUsage.percentage;
     
     // Update Body Battery ring
     updateBatteryRing(percentage);
     
-    // Update status text and styling
+    // Pick status: mg limit first, then event limit, then mg progress
     let status = 'Great Start';
-    const ringProgress = document.querySelector('.ring-progress');
-    const batteryStatus = document.getElementById('batteryStatus');
-    const batteryPercentage = document.getElementById('batteryPercentage');
-    
-    if (percentage >= 100) {
+    let tone = 'normal';
+    if (mgUsage.reached) {
         status = 'Over Limit';
-        if (ringProgress) {
-            ringProgress.style.stroke = '#ff4757';
-            ringProgress.style.filter = 'url(#glow)';
-        }
-        batteryStatus.style.color = '#ff4757';
-        batteryStatus.style.textShadow = '0 0 10px rgba(255, 71, 87, 0.8), 0 0 20px rgba(255, 71, 87, 0.4)';
-        batteryPercentage.style.color = '#ff4757';
-        batteryPercentage.style.textShadow = '0 0 8px rgba(255, 71, 87, 0.6), 0 0 15px rgba(255, 71, 87, 0.3)';
+        tone = 'danger';
+    } else if (eventUsage.over) {
+        status = 'Over Event Limit';
+        tone = 'danger';
     } else if (percentage >= 80) {
         status = 'Approaching Limit';
-        if (ringProgress) {
-            ringProgress.style.stroke = '#ff6b35';
-            ringProgress.style.filter = 'url(#glow)';
-        }
-        batteryStatus.style.color = '#ff6b35';
-        batteryStatus.style.textShadow = '0 0 10px rgba(255, 107, 53, 0.8), 0 0 20px rgba(255, 107, 53, 0.4)';
-        batteryPercentage.style.color = '#ff6b35';
-        batteryPercentage.style.textShadow = '0 0 8px rgba(255, 107, 53, 0.6), 0 0 15px rgba(255, 107, 53, 0.3)';
+        tone = 'warning';
+    } else if (eventUsage.reached) {
+        status = 'Event Limit Reached';
+        tone = 'warning';
     } else if (percentage >= 50) {
         status = 'Be Mindful';
-        if (ringProgress) {
-            ringProgress.style.stroke = '#00d4ff';
-            ringProgress.style.filter = 'url(#glow)';
-        }
-        batteryStatus.style.color = '#00d4ff';
-        batteryStatus.style.textShadow = '0 0 10px rgba(0, 212, 255, 0.8), 0 0 20px rgba(0, 212, 255, 0.4)';
-        batteryPercentage.style.color = '#00d4ff';
-        batteryPercentage.style.textShadow = '0 0 8px rgba(0, 212, 255, 0.6), 0 0 15px rgba(0, 212, 255, 0.3)';
     } else if (percentage > 0) {
         status = 'Within Limit';
-        if (ringProgress) {
-            ringProgress.style.stroke = '#00d4ff';
-            ringProgress.style.filter = 'url(#glow)';
-        }
-        batteryStatus.style.color = '#00d4ff';
-        batteryStatus.style.textShadow = '0 0 10px rgba(0, 212, 255, 0.8), 0 0 20px rgba(0, 212, 255, 0.4)';
-        batteryPercentage.style.color = '#00d4ff';
-        batteryPercentage.style.textShadow = '0 0 8px rgba(0, 212, 255, 0.6), 0 0 15px rgba(0, 212, 255, 0.3)';
-    } else {
-        status = 'Great Start';
-        if (ringProgress) {
-            ringProgress.style.stroke = '#00d4ff';
-            ringProgress.style.filter = 'url(#glow)';
-        }
-        batteryStatus.style.color = '#00d4ff';
-        batteryStatus.style.textShadow = '0 0 10px rgba(0, 212, 255, 0.8), 0 0 20px rgba(0, 212, 255, 0.4)';
-        batteryPercentage.style.color = '#00d4ff';
-        batteryPercentage.style.textShadow = '0 0 8px rgba(0, 212, 255, 0.6), 0 0 15px rgba(0, 212, 255, 0.3)';
     }
     
+    const batteryStatus = document.getElementById('batteryStatus');
+    const batteryPercentage = document.getElementById('batteryPercentage');
+    setBatteryStatusColor(tone);
     batteryStatus.textContent = status;
     batteryPercentage.textContent = `${Math.round(percentage)}%`;
     
     // Update limit progress
-    document.getElementById('limitValue').textContent = `${Math.round(totalMgToday)} / ${settings.dailyMgLimit} mg`;
+    document.getElementById('limitValue').textContent = `${Math.round(totalMgToday)} / ${mgLimit} mg`;
     document.getElementById('progressFill').style.width = `${percentage}%`;
+    updateTaperStatus(today, settings);
+    
+    // Update event counter
+    const eventProgressFill = document.getElementById('eventProgressFill');
+    document.getElementById('eventLimitValue').textContent = `${eventCountToday} / ${settings.dailyEventLimit}`;
+    eventProgressFill.style.width = `${eventUsage.percentage}%`;
+    eventProgressFill.classList.toggle('over-limit', eventUsage.reached);
+    
+    updateMorningLimit(todayLogs, today, settings);
+    updateCravingCard(todayLogs);
+    await updateSpendCard(today);
+    await updateBodyLevels(settings);
     
     // Update streak
-    const streak = calculateStreak();
-    document.getElementById('streakDays').textContent = `${streak} ${streak === 1 ? 'Day' : 'Days'}`;
+    await updateQuitCard(settings);
+    await updateStreakCard(settings);
+    
+    await renderQuickLogButtons();
+}
+
+/**
+ * Update the morning usage indicator on the dashboard
+ * @param {Array} logs - Logs of the tracking day
+ * @param {string} today - Today's tracking day key
+ * @param {Object} settings - Settings object
+ */
+function updateMorningLimit(logs, today, settings) {
+    const section = document.getElementById('morningLimitSection');
+    section.style.display = settings.morningLimitEnabled ? 'block' : 'none';
+    if (!settings.morningLimitEnabled) return;
+    
+    const morningMg = getMorningMg(logs, today, settings);
+    const cap = settings.morningMgLimit;
+    const percentage = cap > 0 ? Math.min(100, (morningMg / cap) * 100) : (morningMg > 0 ? 100 : 0);
+    const windowLabel = `${formatHourLabel(settings.morningStartHour)}–${formatHourLabel(settings.morningEndHour)}`;
+    
+    document.getElementById('morningLimitLabel').textContent = `Morning (${windowLabel})`;
+    document.getElementById('morningLimitValue').textContent = `${morningMg.toFixed(1)} / ${cap} mg`;
+    const fill = document.getElementById('morningProgressFill');
+    fill.style.width = `${percentage}%`;
+    fill.classList.toggle('over-limit', morningMg >= cap);
+    
+    let hint = '';
+    if (isInMorningWindow(new Date(), settings)) {
+        hint = morningMg >= cap
+            ? `Morning cap reached — hold off until ${formatHourLabel(settings.morningEndHour)}.`
+            : `${(cap - morningMg).toFixed(1)} mg left until ${formatHourLabel(settings.morningEndHour)}.`;
+    }
+    document.getElementById('morningLimitHint').textContent = hint;
+}
+
+/**
+ * Update the live nicotine/cotinine estimate on the dashboard
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {Promise<void>}
+ */
+async function updateBodyLevels(settings = loadSettings()) {
+    const now = new Date();
+    // Only doses inside the model's horizon affect the current estimate
+    const horizonStart = new Date(now.getTime() - getBodyLevelHorizonMinutes(settings) * 60000);
+    const logs = (await getBodyLevelLogs(horizonStart, now))
+        .filter(log => new Date(log.timestamp) >= horizonStart);
+    const levels = estimateBodyLevels(logs, now, settings);
+    document.getElementById('bodyNicotineValue').textContent = `${levels.nicotineMg.toFixed(2)} mg`;
+    document.getElementById('bodyCotinineValue').textContent = `Cotinine ${levels.cotinineMg.toFixed(1)} mg`;
+}
+
+/**
+ * Logs for the body level estimate, fetched again only after a log change
+ * The horizon moves forward between refreshes, so the cached logs still cover
+ * it unless it was widened (longer half-lives in settings).
+ * @param {Date} horizonStart - Earliest dose that still counts
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Logs from horizonStart (or a little earlier) up to now
+ */
+async function getBodyLevelLogs(horizonStart, now) {
+    const revision = getLogRevision();
+    if (!bodyLevelLogs || bodyLevelLogs.revision !== revision || horizonStart < bodyLevelLogs.from) {
+        bodyLevelLogs = { from: horizonStart, revision, logs: await getLogsByTimeRange(horizonStart, now) };
+    }
+    return bodyLevelLogs.logs;
+}
+
+/**
+ * Format a local hour (0-24) as a short label, e.g. "5 AM"
+ * @param {number} hour - Hour of day
+ * @returns {string} Label
+ */
+function formatHourLabel(hour) {
+    if (hour === 0 || hour === 24) return '12 AM';
+    if (hour === 12) return '12 PM';
+    return hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+}
+
+/**
+ * Apply a status colour to the Body Battery ring and labels
+ * @param {string} tone - Key of BATTERY_STATUS_COLORS
+ */
+function setBatteryStatusColor(tone) {
+    const [color, rgb] = BATTERY_STATUS_COLORS[tone] || BATTERY_STATUS_COLORS.normal;
+    const ringProgress = document.querySelector('.ring-progress');
+    const batteryStatus = document.getElementById('batteryStatus');
+    const batteryPercentage = document.getElementById('batteryPercentage');
+    
+    if (ringProgress) {
+        ringProgress.style.stroke = color;
+        ringProgress.style.filter = 'url(#glow)';
+    }
+    batteryStatus.style.color = color;
+    batteryStatus.style.textShadow = `0 0 10px rgba(${rgb}, 0.8), 0 0 20px rgba(${rgb}, 0.4)`;
+    batteryPercentage.style.color = color;
+    batteryPercentage.style.textShadow = `0 0 8px rgba(${rgb}, 0.6), 0 0 15px rgba(${rgb}, 0.3)`;
 }
 
 /**
@@ -355,11 +555,18 @@ function updateBatteryRing(percentage) {
 
 /**
  * Open the log intake wizard
+ * @returns {Promise<void>}
  */
-function openWizard() {
+async function openWizard() {
+    // Limit checks in the wizard run against today's logs, fetched once here
+    wizardDayLogs = await getLogsByDate(getTodayKey());
+    
     currentWizardStep = 1;
     wizardData = {
         source: null,
+        productId: null,
+        unitType: 'puffs',
+        unitSize: null,
         quantity: null,
         strength: 0,
         healthEffects: [],
@@ -367,6 +574,8 @@ function openWizard() {
         otherReason: null
     };
     
+    renderWizardChoices();
+    
     // Reset form
     document.querySelectorAll('input[type="radio"]').forEach(radio => {
         radio.checked = false;
@@ -381,6 +590,16 @@ function openWizard() {
     document.getElementById('otherReasonGroup').style.display = 'none';
     document.getElementById('quantityGroup').style.display = 'none';
     document.getElementById('strengthGroup').style.display = 'none';
+    document.getElementById('limitAcknowledge').checked = false;
+    document.getElementById('presetName').value = '';
+    document.getElementById('presetNameGroup').style.display = 'none';
+    populateProductSelect();
+    
+    // Warn up front when today's limits are already used up
+    const notice = document.getElementById('wizardLimitNotice');
+    const reached = getLimitWarnings({ estimatedMg: 0, timestamp: new Date() }, wizardDayLogs, true);
+    notice.textContent = reached.join(' ');
+    notice.style.display = reached.length > 0 ? 'block' : 'none';
     
     showWizardStep(1);
     validateWizardStep(1); // Ensure buttons start in correct state
@@ -407,34 +626,56 @@ function showQuantityInput() {
     quantityGroup.style.display = 'block';
     strengthGroup.style.display = 'block';
     
-    // Set appropriate label
-    let label = 'Quantity';
+    document.getElementById('quantityLabel').textContent = getQuantityLabel(source, wizardData.unitType);
+    document.getElementById('strengthUnitLabel').textContent = getStrengthUnit(source);
+}
+
+/**
+ * Label for the quantity input of a source/unit combination
+ * @param {string} source - Source type (Vape, Cigarettes, Snus)
+ * @param {string} [unitType] - Unit the quantity is entered in
+ * @returns {string} Label
+ */
+function getQuantityLabel(source, unitType) {
     switch (source) {
         case 'Vape':
-            label = 'Number of puffs';
-            break;
+            if (unitType === 'pods') return 'Number of pods';
+            if (unitType === 'ml') return 'Millilitres (ml)';
+            return 'Number of puffs';
         case 'Cigarettes':
-            label = 'Number of cigarettes';
-            break;
+            return 'Number of cigarettes';
         case 'Snus':
-            label = 'Number of portions';
-            break;
+            return 'Number of portions';
+        default:
+            return 'Quantity';
     }
-    document.getElementById('quantityLabel').textContent = label;
+}
+
+/**
+ * Forget the selected product once the user overrides source or strength by hand
+ */
+function clearWizardProduct() {
+    if (!wizardData.productId) return;
+    wizardData.productId = null;
+    wizardData.unitType = 'puffs';
+    wizardData.unitSize = null;
+    document.getElementById('productSelect').value = '';
 }
 
 /**
  * Update estimated mg based on current wizard data
  */
 function updateEstimatedMg() {
-    if (!wizardData.source || !wizardData.quantity || !wizardData.strength) {
+    if (!wizardData.source || !(wizardData.quantity > 0) || !wizardData.strength) {
         return;
     }
     
     const estimatedMg = calculateEstimatedMg(
         wizardData.source,
         wizardData.quantity,
-        wizardData.strength
+        wizardData.strength,
+        wizardData.unitType,
+        wizardData.unitSize
     );
     
     // Store for later use
@@ -467,6 +708,7 @@ function showWizardStep(step) {
     // Update confirmation step
     if (step === 4) {
         updateConfirmationStep();
+        updateLimitWarning();
     }
 }
 
@@ -485,14 +727,17 @@ function validateWizardStep(step) {
                      wizardData.strength > 0;
             break;
         case 2:
-            isValid = wizardData.healthEffects.length > 0;
+            // Effects are optional
+            isValid = true;
             break;
         case 3:
             isValid = wizardData.reason !== null && 
-                     (wizardData.reason !== 'Other' || wizardData.otherReason);
+                     (wizardData.reason !== OTHER_REASON || wizardData.otherReason);
             break;
         case 4:
-            isValid = true;
+            // Exceeding a limit needs the explicit "log anyway" acknowledgement
+            isValid = getWizardLimitWarnings().length === 0 ||
+                     document.getElementById('limitAcknowledge').checked;
             break;
     }
     
@@ -540,89 +785,189 @@ function updateConfirmationStep() {
     });
     
     document.getElementById('confirmTime').textContent = timeStr;
-    document.getElementById('confirmSource').textContent = wizardData.source;
-    document.getElementById('confirmQuantity').textContent = wizardData.quantity;
-    document.getElementById('confirmStrength').textContent = `${wizardData.strength.toFixed(1)} mg`;
+    const product = getProductById(wizardData.productId);
+    document.getElementById('confirmSource').textContent = product
+        ? `${wizardData.source} · ${product.name}`
+        : wizardData.source;
+    document.getElementById('confirmQuantity').textContent = wizardData.source === 'Vape' && wizardData.unitType !== 'puffs'
+        ? `${wizardData.quantity} ${wizardData.unitType}`
+        : wizardData.quantity;
+    document.getElementById('confirmStrength').textContent = `${wizardData.strength.toFixed(1)} ${getStrengthUnit(wizardData.source)}`;
     document.getElementById('confirmEstimatedMg').textContent = `${wizardData.estimatedMg.toFixed(2)} mg`;
     document.getElementById('confirmHealthEffects').textContent = 
         wizardData.healthEffects.length > 0 
-            ? wizardData.healthEffects.join(', ')
+            ? describeHealthEffects(wizardData.healthEffects)
             : 'None';
     document.getElementById('confirmReason').textContent = 
-        wizardData.reason === 'Other' 
+        wizardData.reason === OTHER_REASON 
             ? wizardData.otherReason 
-            : wizardData.reason;
+            : describeReason(wizardData.reason);
+    document.getElementById('presetName').placeholder = describeIntake(getWizardIntake());
+}
+
+/**
+ * How far an amount has used up a limit
+ * A limit of 0 counts as reached (and exceeded) only once anything was used.
+ * @param {number} used - Amount used so far (mg or events)
+ * @param {number} limit - Limit, 0 or more
+ * @returns {Object} { percentage (0-100), reached, over }
+ */
+function getLimitUsage(used, limit) {
+    if (limit > 0) {
+        return { percentage: Math.min(100, (used / limit) * 100), reached: used >= limit, over: used > limit };
+    }
+    return { percentage: used > 0 ? 100 : 0, reached: used > 0, over: used > 0 };
+}
+
+/**
+ * Describe which daily limits a new entry would break
+ * @param {Object} entry - Prospective entry ({ estimatedMg, timestamp })
+ * @param {Array} dayLogs - Logs already stored for the entry's tracking day
+ * @param {boolean} [reachedOnly=false] - Report limits already reached instead of exceeded
+ * @returns {Array<string>} Human readable warnings (empty when within limits)
+ */
+function getLimitWarnings(entry, dayLogs, reachedOnly = false) {
+    const settings = loadSettings();
+    const when = new Date(entry.timestamp);
+    const dayKey = getLocalDateKey(when, settings);
+    const mgSoFar = dayLogs.reduce((sum, log) => sum + (log.estimatedMg || 0), 0);
+    const eventsSoFar = dayLogs.filter(isIntakeLog).length;
+    const mgLimit = getDailyMgLimit(dayKey, settings);
+    const warnings = [];
+    
+    const inMorning = settings.morningLimitEnabled && isInMorningWindow(when, settings);
+    const morningSoFar = inMorning ? getMorningMg(dayLogs, dayKey, settings) : 0;
+    const morningEnd = formatHourLabel(settings.morningEndHour);
+    
+    if (reachedOnly) {
+        if (getLimitUsage(mgSoFar, mgLimit).reached) {
+            warnings.push(`You've already reached today's ${mgLimit} mg limit.`);
+        }
+        if (getLimitUsage(eventsSoFar, settings.dailyEventLimit).reached) {
+            warnings.push(`You've already logged ${eventsSoFar} of ${settings.dailyEventLimit} events today.`);
+        }
+        if (inMorning && getLimitUsage(morningSoFar, settings.morningMgLimit).reached) {
+            warnings.push(`Your morning cap of ${settings.morningMgLimit} mg is used up until ${morningEnd}.`);
+        }
+        return warnings;
+    }
+    
+    const mgAfter = mgSoFar + (entry.estimatedMg || 0);
+    if (getLimitUsage(mgAfter, mgLimit).over) {
+        warnings.push(`This brings today to ${mgAfter.toFixed(1)} mg, over your ${mgLimit} mg limit.`);
+    }
+    if (getLimitUsage(eventsSoFar + 1, settings.dailyEventLimit).over) {
+        warnings.push(`This is event ${eventsSoFar + 1} today, over your limit of ${settings.dailyEventLimit}.`);
+    }
+    const morningAfter = morningSoFar + (entry.estimatedMg || 0);
+    if (inMorning && getLimitUsage(morningAfter, settings.morningMgLimit).over) {
+        warnings.push(`This brings your morning to ${morningAfter.toFixed(1)} mg, over your ${settings.morningMgLimit} mg cap before ${morningEnd}.`);
+    }
+    return warnings;
+}
+
+/**
+ * Limit warnings for the entry currently in the wizard
+ * @returns {Array<string>} Warnings
+ */
+function getWizardLimitWarnings() {
+    if (!wizardData.source) return [];
+    return getLimitWarnings({ estimatedMg: wizardData.estimatedMg || 0, timestamp: new Date() }, wizardDayLogs);
+}
+
+/**
+ * Show limit warnings on the confirmation step
+ */
+function updateLimitWarning() {
+    const warnings = getWizardLimitWarnings();
+    const container = document.getElementById('limitWarning');
+    const list = document.getElementById('limitWarningList');
+    
+    list.innerHTML = '';
+    warnings.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = `⚠️ ${message}`;
+        list.appendChild(item);
+    });
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+    document.getElementById('wizardConfirm').textContent = warnings.length > 0 ? 'Log Anyway' : 'Confirm & Save';
 }
 
 /**
  * Confirm and save wizard data
+ * @returns {Promise<void>}
  */
-function confirmWizard() {
-    const now = new Date();
-    const dateStr = now.toISOString().split('T')[0];
-    const timeOfDay = getTimeOfDay(now);
+async function confirmWizard() {
+    // Guard against confirming past a limit without the acknowledgement
+    if (getWizardLimitWarnings().length > 0 && !document.getElementById('limitAcknowledge').checked) {
+        showWizardStep(4);
+        showToast('Please confirm you want to log over your limit', 'error');
+        return;
+    }
     
-    const logData = {
-        date: dateStr,
-        timeOfDay: timeOfDay,
-        source: wizardData.source,
-        unitType: wizardData.source === 'Vape' ? 'puffs' : 
-                  wizardData.source === 'Cigarettes' ? 'pieces' : 'pieces',
-        amount: wizardData.quantity,
-        estimatedMg: wizardData.estimatedMg,
-        reason: wizardData.reason === 'Other' ? wizardData.otherReason : wizardData.reason,
-        healthEffects: wizardData.healthEffects,
-        focusLevel: null,
-        anxietyLevel: null,
-        clearThinking: null,
-        notes: null
-    };
+    const intake = getWizardIntake();
     
-    addLog(logData);
+    let saved;
+    try {
+        saved = await addLog(buildIntakeLog(intake));
+    } catch (error) {
+        showToast(error.message || 'Failed to save entry', 'error');
+        return;
+    }
+    // The intake is saved; a reminder that cannot be set must not undo the flow
+    let reminders = [];
+    try {
+        reminders = scheduleCheckInReminders(saved);
+    } catch (error) {
+        console.error('Error scheduling check-in reminders:', error);
+    }
+
+    if (document.getElementById('saveAsPreset').checked) {
+        savePresetFromWizard(intake);
+    }
     
     closeWizard();
     updateDashboard();
     updateAllCharts();
     
+    // Reminders will ask once the dose has kicked in; checking in now stays optional
+    if (reminders.length > 0) {
+        showToast(`Intake logged! We'll remind you to check in after ${reminders.join(' and ')} min 🧠`, 'success', {
+            label: 'Check in now',
+            onClick: () => openCheckIn(saved.id)
+        });
+        return;
+    }
+    
     // Show encouraging message and redirect to cognitive view
     showToast('Intake logged! Now let\'s track how you feel 🧠');
     
-    // Automatically redirect to Cognitive view after a short delay
+    // Automatically redirect to a check-in for this intake after a short delay
     setTimeout(() => {
-        switchView('cognitiveView');
+        openCheckIn(saved.id);
     }, 800);
 }
 
 /**
  * Submit cognitive check-in
+ * @returns {Promise<void>}
  */
-function submitCognitiveCheckIn() {
+async function submitCognitiveCheckIn() {
     const focusLevel = parseInt(document.getElementById('focusSlider').value);
     const anxietyLevel = parseInt(document.getElementById('anxietySlider').value);
     const clearThinkingYes = document.getElementById('clearThinkingYes').classList.contains('active');
     const clearThinking = clearThinkingYes ? true : (document.getElementById('clearThinkingNo').classList.contains('active') ? false : null);
     const notes = document.getElementById('cognitiveNotes').value.trim() || null;
     
-    // Get most recent log today
-    let recentLog = getMostRecentLogToday();
-    
-    if (recentLog) {
-        // Update existing log
-        updateLog(recentLog.id, {
-            focusLevel,
-            anxietyLevel,
-            clearThinking,
-            notes
-        });
-    } else {
-        // Create check-in-only record
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0];
-        const timeOfDay = getTimeOfDay(now);
-        
-        addLog({
-            date: dateStr,
-            timeOfDay: timeOfDay,
+    const now = new Date();
+    const intakeId = document.getElementById('checkInIntake').value || null;
+    
+    let saved;
+    try {
+        saved = await addLog({
+            timestamp: now.toISOString(),
+            date: getLocalDateKey(now),
+            timeOfDay: getTimeOfDay(now),
             source: 'None',
             unitType: 'other',
             amount: 0,
@@ -632,9 +977,14 @@ function submitCognitiveCheckIn() {
             focusLevel,
             anxietyLevel,
             clearThinking,
-            notes
+            notes,
+            intakeId
         });
+    } catch (error) {
+        showToast(error.message || 'Failed to save check-in', 'error');
+        return;
     }
+    settleCheckInReminders(saved);
     
     // Reset form
     document.getElementById('focusSlider').value = 5;
@@ -647,6 +997,7 @@ function submitCognitiveCheckIn() {
     
     updateDashboard();
     updateAllCharts();
+    updateCheckInTiming();
     showToast('Cognitive check-in saved');
 }
 
@@ -656,26 +1007,191 @@ function submitCognitiveCheckIn() {
 function loadSettingsIntoUI() {
     const settings = loadSettings();
     document.getElementById('dailyMgLimit').value = settings.dailyMgLimit;
+    document.getElementById('dailyMgLimitHint').style.display = settings.taperPlan ? 'block' : 'none';
     document.getElementById('dailyEventLimit').value = settings.dailyEventLimit;
+    populateTimezoneOptions();
+    document.getElementById('timezoneOffset').value =
+        typeof settings.timezoneOffsetMinutes === 'number' ? String(settings.timezoneOffsetMinutes) : '';
+    document.getElementById('dayStartHour').value = String(settings.dayStartHour || 0);
+    document.getElementById('morningLimitEnabled').checked = settings.morningLimitEnabled;
+    document.getElementById('morningStartHour').value = String(settings.morningStartHour);
+    document.getElementById('morningEndHour').value = String(settings.morningEndHour);
+    document.getElementById('morningMgLimit').value = settings.morningMgLimit;
+    document.getElementById('morningLimitSettings').style.display = settings.morningLimitEnabled ? 'block' : 'none';
+    document.getElementById('checkInRemindersEnabled').checked = settings.checkInRemindersEnabled;
+    document.getElementById('checkInReminderMinutes').value = settings.checkInReminderMinutes.join(', ');
+    document.getElementById('currencySymbol').value = settings.currencySymbol;
+    updateReminderSettingsUI(settings.checkInRemindersEnabled);
+    document.getElementById('nicotineHalfLife').value = settings.nicotineHalfLifeMinutes;
+    document.getElementById('cotinineHalfLife').value = settings.cotinineHalfLifeHours;
+    document.getElementById('vapePuffsPerMl').value = settings.vapePuffsPerMl;
+    document.getElementById('vapeAbsorbed').value = Math.round(settings.vapeAbsorbedFraction * 100);
+    document.getElementById('cigaretteAbsorbed').value = Math.round(settings.cigaretteAbsorbedFraction * 100);
+    document.getElementById('snusRetention').value = Math.round(settings.snusRetention * 100);
+    document.getElementById('snusMinutesInMouth').value = settings.snusMinutesInMouth;
+}
+
+/**
+ * Read dose calibration fields, keeping previous values for invalid input
+ * @param {Object} previous - Current settings
+ * @returns {Object} Calibration settings
+ */
+function readCalibrationFromUI(previous) {
+    const readPercent = (inputId, fallback) => {
+        const value = parseFloat(document.getElementById(inputId).value);
+        return isNaN(value) || value < 0 || value > 100 ? fallback : value / 100;
+    };
+    const readPositive = (inputId, fallback) => {
+        const value = parseFloat(document.getElementById(inputId).value);
+        return isNaN(value) || value <= 0 ? fallback : value;
+    };
+    
+    return {
+        vapePuffsPerMl: readPositive('vapePuffsPerMl', previous.vapePuffsPerMl),
+        vapeAbsorbedFraction: readPercent('vapeAbsorbed', previous.vapeAbsorbedFraction),
+        cigaretteAbsorbedFraction: readPercent('cigaretteAbsorbed', previous.cigaretteAbsorbedFraction),
+        snusRetention: readPercent('snusRetention', previous.snusRetention),
+        snusMinutesInMouth: readPositive('snusMinutesInMouth', previous.snusMinutesInMouth)
+    };
+}
+
+/**
+ * Save the calibration from the form and recompute estimatedMg for all past logs
+ * @returns {Promise<void>}
+ */
+async function recalculateLogsFromUI() {
+    if (!confirm('Recalculate the estimated mg of every past entry with these calibration values?')) {
+        return;
+    }
+    
+    const settings = { ...loadSettings(), ...readCalibrationFromUI(loadSettings()) };
+    saveSettings(settings);
+    const result = await recalculateEstimates(settings);
+    
+    updateDashboard();
+    updateAllCharts();
+    const skippedNote = result.skipped > 0 ? ` (${result.skipped} without a recorded strength were kept)` : '';
+    showToast(`Recalculated ${result.updated} ${result.updated === 1 ? 'entry' : 'entries'}${skippedNote}`);
+}
+
+/**
+ * Fill the timezone select with common UTC offsets (once)
+ */
+function populateTimezoneOptions() {
+    const select = document.getElementById('timezoneOffset');
+    if (select.options.length > 1) return;
+    
+    // Offsets east of UTC in minutes, including the common half/quarter hour zones
+    const offsets = [];
+    for (let hours = -12; hours <= 14; hours++) {
+        offsets.push(hours * 60);
+    }
+    offsets.push(-570, -210, 210, 270, 330, 345, 390, 570, 630);
+    offsets.sort((a, b) => a - b);
+    
+    offsets.forEach(eastMinutes => {
+        const sign = eastMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(eastMinutes);
+        const label = `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+        const option = document.createElement('option');
+        // Stored with the Date#getTimezoneOffset sign convention (west of UTC is positive)
+        option.value = String(-eastMinutes || 0);
+        option.textContent = label;
+        select.appendChild(option);
+    });
 }
 
 /**
  * Save settings from UI
+ * @returns {Promise<void>}
  */
-function saveSettingsFromUI() {
+async function saveSettingsFromUI() {
+    const previous = loadSettings();
+    const timezoneValue = document.getElementById('timezoneOffset').value;
+    const morningStartHour = parseInt(document.getElementById('morningStartHour').value);
+    const morningEndHour = parseInt(document.getElementById('morningEndHour').value);
+    const morningMgLimit = parseFloat(document.getElementById('morningMgLimit').value);
+    const dailyMgLimit = parseFloat(document.getElementById('dailyMgLimit').value);
+    const dailyEventLimit = parseInt(document.getElementById('dailyEventLimit').value);
+    const morningLimitEnabled = document.getElementById('morningLimitEnabled').checked;
+    const nicotineHalfLife = parseFloat(document.getElementById('nicotineHalfLife').value);
+    const cotinineHalfLife = parseFloat(document.getElementById('cotinineHalfLife').value);
+    
+    if (morningLimitEnabled && morningStartHour >= morningEndHour) {
+        showToast('The morning window must end after it starts', 'error');
+        return;
+    }
+    
+    const checkInRemindersEnabled = document.getElementById('checkInRemindersEnabled').checked;
+    const checkInReminderMinutes = parseReminderMinutes(document.getElementById('checkInReminderMinutes').value);
+    if (checkInRemindersEnabled && (!checkInReminderMinutes || checkInReminderMinutes.length === 0)) {
+        showToast(`Enter reminder times as minutes between 1 and ${MAX_REMINDER_MINUTES}, e.g. 20, 60`, 'error');
+        return;
+    }
+    
     const settings = {
-        dailyMgLimit: parseInt(document.getElementById('dailyMgLimit').value) || 40,
-        dailyEventLimit: parseInt(document.getElementById('dailyEventLimit').value) || 5,
-        morningLimitEnabled: false,
-        timezoneOffsetMinutes: new Date().getTimezoneOffset()
+        ...previous,
+        // A limit of 0 is a valid goal, so only unreadable input keeps the old value
+        dailyMgLimit: Number.isFinite(dailyMgLimit) && dailyMgLimit >= 0 ? dailyMgLimit : previous.dailyMgLimit,
+        dailyEventLimit: Number.isFinite(dailyEventLimit) && dailyEventLimit >= 0 ? dailyEventLimit : previous.dailyEventLimit,
+        timezoneOffsetMinutes: timezoneValue === '' ? null : parseInt(timezoneValue),
+        dayStartHour: parseInt(document.getElementById('dayStartHour').value) || 0,
+        morningLimitEnabled,
+        morningStartHour,
+        morningEndHour,
+        morningMgLimit: isNaN(morningMgLimit) || morningMgLimit < 0 ? previous.morningMgLimit : morningMgLimit,
+        nicotineHalfLifeMinutes: nicotineHalfLife > 0 ? nicotineHalfLife : previous.nicotineHalfLifeMinutes,
+        cotinineHalfLifeHours: cotinineHalfLife > 0 ? cotinineHalfLife : previous.cotinineHalfLifeHours,
+        checkInRemindersEnabled,
+        checkInReminderMinutes: checkInReminderMinutes && checkInReminderMinutes.length > 0
+            ? checkInReminderMinutes
+            : previous.checkInReminderMinutes,
+        currencySymbol: document.getElementById('currencySymbol').value.trim() || previous.currencySymbol,
+        ...readCalibrationFromUI(previous)
     };
     
     saveSettings(settings);
+    
+    // Day boundaries moved: re-file existing logs under their new tracking day
+    if (settings.timezoneOffsetMinutes !== previous.timezoneOffsetMinutes ||
+        settings.dayStartHour !== previous.dayStartHour) {
+        await rederiveLogDates();
+    }
+    
+    // Intakes logged before reminders were switched on or retimed get them too
+    if (settings.checkInRemindersEnabled &&
+        (!previous.checkInRemindersEnabled || settings.checkInReminderMinutes.join() !== previous.checkInReminderMinutes.join())) {
+        restoreCheckInReminders();
+    } else if (!settings.checkInRemindersEnabled && previous.checkInRemindersEnabled) {
+        cancelAllCheckInReminders();
+    }
+    
     updateDashboard();
+    updateAllCharts();
     closeModal('settingsModal');
     showToast('Settings saved');
 }
 
+/**
+ * Ask for a new passphrase and export an encrypted backup with it
+ * @returns {Promise<void>}
+ */
+async function exportEncryptedFromUI() {
+    const passphrase = await requestPassphrase({
+        title: 'Encrypted Backup',
+        hint: 'Choose a passphrase for this backup. You will need it to import the file; it cannot be recovered if forgotten.',
+        confirm: true
+    });
+    if (passphrase === null) return;
+
+    try {
+        await exportData(passphrase);
+        showToast('Encrypted backup exported');
+    } catch (error) {
+        showToast(error.message || 'Failed to export data', 'error');
+    }
+}
+
 /**
  * Open a modal
  * @param {string} modalId - ID of modal to open
@@ -694,20 +1210,83 @@ function closeModal(modalId) {
     document.body.style.overflow = '';
 }
 
+/**
+ * The intake described by the wizard, in the shape presets use
+ * @returns {Object} { source, productId, unitType, unitSize, amount, strength, reason, healthEffects }
+ */
+function getWizardIntake() {
+    return {
+        source: wizardData.source,
+        productId: wizardData.productId,
+        unitType: wizardData.source === 'Vape' ? wizardData.unitType : 'pieces',
+        unitSize: wizardData.source === 'Vape' ? wizardData.unitSize : null,
+        amount: wizardData.quantity,
+        strength: wizardData.strength,
+        reason: wizardData.reason === OTHER_REASON ? wizardData.otherReason : wizardData.reason,
+        healthEffects: wizardData.healthEffects
+    };
+}
+
+/**
+ * Build a complete intake log, estimating mg with the current calibration
+ * @param {Object} intake - { source, productId, unitType, unitSize, amount, strength, reason, healthEffects }
+ * @param {Date} [now] - Time of intake
+ * @returns {Object} Log data for addLog
+ */
+function buildIntakeLog(intake, now = new Date()) {
+    return {
+        timestamp: now.toISOString(),
+        date: getLocalDateKey(now),
+        timeOfDay: getTimeOfDay(now),
+        source: intake.source,
+        productId: intake.productId || null,
+        unitType: intake.unitType,
+        unitSize: intake.unitSize,
+        amount: intake.amount,
+        strength: intake.strength,
+        strengthUnit: getStrengthUnit(intake.source),
+        estimatedMg: calculateEstimatedMg(intake.source, intake.amount, intake.strength, intake.unitType, intake.unitSize),
+        formulaVersion: ESTIMATE_FORMULA_VERSION,
+        cost: getProductCost(intake.productId, intake.unitType, intake.amount),
+        reason: intake.reason,
+        healthEffects: [...intake.healthEffects],
+        focusLevel: null,
+        anxietyLevel: null,
+        clearThinking: null,
+        notes: null
+    };
+}
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Type of toast (default: 'success')
+ * @param {Object} [action] - Optional button, e.g. undo
+ * @param {string} action.label - Button text
+ * @param {Function} action.onClick - Called when the button is pressed
  */
-function showToast(message, type = 'success') {
+function showToast(message, type = 'success', action = null) {
     const toast = document.getElementById('toast');
     toast.textContent = message;
     toast.className = `toast ${type}`;
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.classList.remove('show');
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
     toast.classList.add('show');
     
-    setTimeout(() => {
+    // A newer toast replaces the old one, including its timer
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 // Initialize app when DOM is loaded
@@ -4,6 +4,22 @@
  */
 
 let focusAnxietyChart = null;
+let nicotineCurveChart = null;
+let productUsageChart = null;
+let triggerChart = null;
+let spendChart = null;
+
+// Buckets shown by the spending chart for each period
+const SPEND_CHART_BUCKETS = { day: 30, week: 12, month: 12 };
+
+/**
+ * Set up event listeners for chart controls
+ */
+function setupChartEventListeners() {
+    document.getElementById('spendChartPeriod').addEventListener('change', async () => {
+        renderSpendChart(await loadLogs());
+    });
+}
 
 /**
  * Initialize and render the Focus vs Anxiety line chart
@@ -141,7 +157,8 @@ function renderFocusAnxietyChart(logs) {
 
 /**
  * Compute sweet spot correlation matrix
- * Groups logs by nicotine dose buckets and time of day
+ * Groups check-ins by the dose and time of day of the intake they follow;
+ * check-ins made before their intake are baselines and are left out.
  * @param {Array} logs - Array of log objects
  * @returns {Object} Matrix data with computed metrics
  */
@@ -172,20 +189,25 @@ function computeSweetSpotMatrix(logs) {
         });
     });
     
-    // Populate matrix with log data
+    // Populate matrix with check-ins linked to an intake
+    const intakesById = new Map(logs.filter(isIntakeLog).map(log => [log.id, log]));
     logs.forEach(log => {
-        if (!log.estimatedMg || !log.timeOfDay) return;
+        if (!isCheckInLog(log) || !log.intakeId) return;
         if (log.focusLevel === null || log.focusLevel === undefined) return;
         if (log.anxietyLevel === null || log.anxietyLevel === undefined) return;
         
+        const intake = intakesById.get(log.intakeId);
+        if (!intake || !intake.estimatedMg || !intake.timeOfDay) return;
+        if (new Date(log.timestamp) < new Date(intake.timestamp)) return;
+        
         // Find matching dose bucket
         const doseBucket = doseBuckets.find(bucket => 
-            log.estimatedMg >= bucket.min && log.estimatedMg < bucket.max
+            intake.estimatedMg >= bucket.min && intake.estimatedMg < bucket.max
         );
         
         if (!doseBucket) return;
         
-        const cell = matrix[doseBucket.label][log.timeOfDay];
+        const cell = matrix[doseBucket.label][intake.timeOfDay];
         cell.focus.push(log.focusLevel);
         cell.anxiety.push(log.anxietyLevel);
         cell.count++;
@@ -296,8 +318,8 @@ function renderSweetSpotHeatmap(logs) {
 }
 
 /**
- * Get daily statistics for a specific date
- * @param {string} date - Date string in YYYY-MM-DD format
+ * Get daily statistics for a specific tracking day
+ * @param {string} date - Tracking day key in YYYY-MM-DD format (see getLocalDateKey)
  * @param {Array} logs - Array of all logs
  * @returns {Object} Daily statistics
  */
@@ -372,13 +394,587 @@ function computeFocusAnxietyBuckets(logs) {
     return result;
 }
 
+/**
+ * Render the modelled nicotine/cotinine curve around the current time
+ * Shows the last 12 hours and the projected decay for the next 12 hours
+ * @param {Array} logs - Array of log objects
+ */
+function renderNicotineCurveChart(logs) {
+    const ctx = document.getElementById('nicotineCurveChart');
+    if (!ctx) return;
+    
+    if (nicotineCurveChart) {
+        nicotineCurveChart.destroy();
+    }
+    
+    const settings = loadSettings();
+    const now = new Date();
+    const stepMinutes = 15;
+    // Start exactly 12 hours back so "now" lands on sample nowIndex
+    const start = new Date(now.getTime() - 12 * 3600000);
+    const end = new Date(now.getTime() + 12 * 3600000);
+    const points = computeBodyLevelCurve(logs, start, end, stepMinutes, settings);
+    const nowIndex = 12 * 60 / stepMinutes;
+    
+    const labels = points.map(point => formatLocalTime(point.time, settings));
+    // Split nicotine into measured-history and projection so the future is drawn dashed
+    const pastNicotine = points.map((point, i) => i <= nowIndex ? point.nicotineMg : null);
+    const projectedNicotine = points.map((point, i) => i >= nowIndex ? point.nicotineMg : null);
+    const cotinine = points.map(point => point.cotinineMg);
+    
+    nicotineCurveChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [
+                {
+                    label: 'Nicotine (mg)',
+                    data: pastNicotine,
+                    borderColor: 'rgb(0, 212, 255)',
+                    backgroundColor: 'rgba(0, 212, 255, 0.1)',
+                    tension: 0.3,
+                    fill: true,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Nicotine (projected)',
+                    data: projectedNicotine,
+                    borderColor: 'rgb(0, 212, 255)',
+                    borderDash: [6, 4],
+                    backgroundColor: 'rgba(0, 212, 255, 0.05)',
+                    tension: 0.3,
+                    fill: true,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Cotinine (mg)',
+                    data: cotinine,
+                    borderColor: 'rgb(255, 107, 53)',
+                    backgroundColor: 'rgba(255, 107, 53, 0.1)',
+                    tension: 0.3,
+                    fill: false,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif'
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 39, 66, 0.95)',
+                    titleColor: '#ffffff',
+                    bodyColor: '#a0aec0',
+                    borderColor: '#2d3748',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: (context) => context.parsed.y === null
+                            ? null
+                            : `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0aec0',
+                        maxTicksLimit: window.innerWidth < 768 ? 6 : 12,
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: window.innerWidth < 768 ? 11 : 12
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(45, 55, 72, 0.5)'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Nicotine (mg)',
+                        color: '#a0aec0'
+                    },
+                    ticks: {
+                        color: '#a0aec0'
+                    },
+                    grid: {
+                        color: 'rgba(45, 55, 72, 0.5)'
+                    }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Cotinine (mg)',
+                        color: '#a0aec0'
+                    },
+                    ticks: {
+                        color: '#a0aec0'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Aggregate intake by product
+ * @param {Array} logs - Array of log objects
+ * @param {Array} products - Product catalog (archived products included)
+ * @returns {Array<Object>} Rows { label, totalMg, eventCount } sorted by mg, custom entries last
+ */
+function computeProductUsage(logs, products) {
+    const names = new Map(products.map(product => [product.id, product.name]));
+    const usage = new Map();
+    
+    logs.filter(isIntakeLog).forEach(log => {
+        const key = log.productId && names.has(log.productId) ? log.productId : null;
+        if (!usage.has(key)) {
+            usage.set(key, {
+                label: key ? names.get(key) : 'Custom entries',
+                totalMg: 0,
+                eventCount: 0
+            });
+        }
+        const row = usage.get(key);
+        row.totalMg += log.estimatedMg || 0;
+        row.eventCount++;
+    });
+    
+    const custom = usage.get(null);
+    usage.delete(null);
+    const rows = Array.from(usage.values()).sort((a, b) => b.totalMg - a.totalMg);
+    if (custom) rows.push(custom);
+    return rows;
+}
+
+/**
+ * Render total mg per product as a horizontal bar chart
+ * @param {Array} logs - Array of log objects
+ */
+function renderProductUsageChart(logs) {
+    const ctx = document.getElementById('productUsageChart');
+    if (!ctx) return;
+    
+    if (productUsageChart) {
+        productUsageChart.destroy();
+    }
+    
+    const rows = computeProductUsage(logs, loadProducts());
+    
+    productUsageChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.label),
+            datasets: [
+                {
+                    label: 'Estimated mg',
+                    data: rows.map(row => row.totalMg),
+                    backgroundColor: 'rgba(0, 212, 255, 0.6)',
+                    borderColor: 'rgb(0, 212, 255)',
+                    borderWidth: 1,
+                    borderRadius: 6
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 39, 66, 0.95)',
+                    titleColor: '#ffffff',
+                    bodyColor: '#a0aec0',
+                    borderColor: '#2d3748',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: (context) => {
+                            const row = rows[context.dataIndex];
+                            return `${row.totalMg.toFixed(1)} mg over ${row.eventCount} ${row.eventCount === 1 ? 'event' : 'events'}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: window.innerWidth < 768 ? 11 : 12
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(45, 55, 72, 0.5)'
+                    }
+                },
+                y: {
+                    ticks: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: window.innerWidth < 768 ? 11 : 12
+                        }
+                    },
+                    grid: {
+                        display: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * First tracking day of the bucket a day falls in
+ * Weeks start on Monday; months on the 1st.
+ * @param {string} date - Date key (YYYY-MM-DD)
+ * @param {string} period - 'day', 'week' or 'month'
+ * @returns {string} Date key of the bucket start
+ */
+function getSpendBucketStart(date, period) {
+    if (period === 'month') return `${date.slice(0, 7)}-01`;
+    if (period === 'week') {
+        const [year, month, day] = date.split('-').map(Number);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        return shiftDateKey(date, -((weekday + 6) % 7));
+    }
+    return date;
+}
+
+/**
+ * Total spend per day, week or month up to today, oldest first
+ * @param {Array} logs - Array of log objects
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {Array} products - Product catalog, to price entries without a saved cost
+ * @param {string} today - Today's tracking day key
+ * @returns {Array<Object>} Rows { start, total, unpriced } with SPEND_CHART_BUCKETS[period] entries
+ */
+function computeSpendSeries(logs, period, products, today) {
+    const rows = [];
+    let start = getSpendBucketStart(today, period);
+    for (let i = 0; i < SPEND_CHART_BUCKETS[period]; i++) {
+        rows.unshift({ start, total: 0, unpriced: 0 });
+        if (period === 'month') {
+            const [year, month] = start.split('-').map(Number);
+            start = new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 10);
+        } else {
+            start = shiftDateKey(start, period === 'week' ? -7 : -1);
+        }
+    }
+
+    const byStart = new Map(rows.map(row => [row.start, row]));
+    logs.filter(isIntakeLog).forEach(log => {
+        const row = byStart.get(getSpendBucketStart(log.date, period));
+        if (!row || log.date > today) return;
+        const cost = getLogCost(log, products);
+        if (cost === null) {
+            row.unpriced++;
+        } else {
+            row.total += cost;
+        }
+    });
+    return rows;
+}
+
+/**
+ * Label of a spending chart bucket, e.g. "Oct 19", "Week of Oct 13" or "Oct 2026"
+ * @param {string} start - Date key of the bucket start
+ * @param {string} period - 'day', 'week' or 'month'
+ * @returns {string} Label
+ */
+function formatSpendBucket(start, period) {
+    const [year, month, day] = start.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (period === 'month') {
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    const label = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return period === 'week' ? `Week of ${label}` : label;
+}
+
+/**
+ * Render spend per day, week or month as a bar chart
+ * @param {Array} logs - Array of log objects
+ */
+function renderSpendChart(logs) {
+    const ctx = document.getElementById('spendChart');
+    if (!ctx) return;
+    
+    if (spendChart) {
+        spendChart.destroy();
+    }
+    
+    const period = document.getElementById('spendChartPeriod').value;
+    const rows = computeSpendSeries(logs, period, loadProducts(), getTodayKey());
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+    const unpriced = rows.reduce((sum, row) => sum + row.unpriced, 0);
+    const spans = { day: 'last 30 days', week: 'last 12 weeks', month: 'last 12 months' };
+    let summary = `${formatMoney(total)} over the ${spans[period]}`;
+    if (unpriced > 0) {
+        summary += `; ${unpriced} ${unpriced === 1 ? 'entry' : 'entries'} without a price left out`;
+    }
+    document.getElementById('spendChartSummary').textContent = summary;
+    
+    spendChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => formatSpendBucket(row.start, period)),
+            datasets: [
+                {
+                    label: 'Spent',
+                    data: rows.map(row => Math.round(row.total * 100) / 100),
+                    backgroundColor: 'rgba(72, 187, 120, 0.6)',
+                    borderColor: 'rgb(72, 187, 120)',
+                    borderWidth: 1,
+                    borderRadius: 6
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 39, 66, 0.95)',
+                    titleColor: '#ffffff',
+                    bodyColor: '#a0aec0',
+                    borderColor: '#2d3748',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: (context) => {
+                            const row = rows[context.dataIndex];
+                            const missing = row.unpriced > 0 ? ` (${row.unpriced} unpriced)` : '';
+                            return `${formatMoney(row.total)}${missing}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: window.innerWidth < 768 ? 11 : 12
+                        }
+                    },
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: window.innerWidth < 768 ? 11 : 12
+                        },
+                        callback: (value) => formatMoney(value)
+                    },
+                    grid: {
+                        color: 'rgba(45, 55, 72, 0.5)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Count cravings and intakes per trigger
+ * A craving's trigger and an intake's reason come from the same list, so the
+ * rows show which situations lead to use and which urges get beaten.
+ * @param {Array} logs - Array of log objects
+ * @returns {Array<Object>} Rows { label, resisted, gaveIn, intakes } sorted by total count
+ */
+function computeTriggerStats(logs) {
+    const choices = loadChoices();
+    const stats = new Map();
+    const rowFor = key => {
+        if (!stats.has(key)) {
+            stats.set(key, {
+                label: getChoiceName(CHOICE_LISTS.REASONS, key, choices),
+                resisted: 0,
+                gaveIn: 0,
+                intakes: 0
+            });
+        }
+        return stats.get(key);
+    };
+    
+    logs.forEach(log => {
+        if (isCravingLog(log) && log.trigger) {
+            rowFor(log.trigger)[log.resisted ? 'resisted' : 'gaveIn']++;
+        } else if (isIntakeLog(log) && log.reason) {
+            rowFor(log.reason).intakes++;
+        }
+    });
+    
+    const total = row => row.resisted + row.gaveIn + row.intakes;
+    return Array.from(stats.values()).sort((a, b) => total(b) - total(a));
+}
+
+/**
+ * Render cravings resisted, given in to and intakes per trigger as a stacked bar chart
+ * @param {Array} logs - Array of log objects
+ */
+function renderTriggerChart(logs) {
+    const ctx = document.getElementById('triggerChart');
+    if (!ctx) return;
+    
+    if (triggerChart) {
+        triggerChart.destroy();
+    }
+    
+    const cravings = logs.filter(isCravingLog);
+    const resisted = cravings.filter(log => log.resisted).length;
+    document.getElementById('cravingSummary').textContent = cravings.length > 0
+        ? `${resisted} of ${cravings.length} cravings resisted (${Math.round(resisted / cravings.length * 100)}%), next to intakes logged with the same reason`
+        : 'Cravings resisted and given in to, next to intakes logged with the same reason';
+    
+    const rows = computeTriggerStats(logs);
+    const fontSize = window.innerWidth < 768 ? 11 : 12;
+    
+    triggerChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.label),
+            datasets: [
+                {
+                    label: 'Cravings resisted',
+                    data: rows.map(row => row.resisted),
+                    backgroundColor: 'rgba(72, 187, 120, 0.6)',
+                    borderColor: 'rgb(72, 187, 120)',
+                    borderWidth: 1,
+                    stack: 'cravings'
+                },
+                {
+                    label: 'Cravings given in to',
+                    data: rows.map(row => row.gaveIn),
+                    backgroundColor: 'rgba(255, 107, 53, 0.6)',
+                    borderColor: 'rgb(255, 107, 53)',
+                    borderWidth: 1,
+                    stack: 'cravings'
+                },
+                {
+                    label: 'Intakes',
+                    data: rows.map(row => row.intakes),
+                    backgroundColor: 'rgba(0, 212, 255, 0.6)',
+                    borderColor: 'rgb(0, 212, 255)',
+                    borderWidth: 1,
+                    stack: 'intakes'
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: fontSize
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 39, 66, 0.95)',
+                    titleColor: '#ffffff',
+                    bodyColor: '#a0aec0',
+                    borderColor: '#2d3748',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#a0aec0',
+                        precision: 0,
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: fontSize
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(45, 55, 72, 0.5)'
+                    }
+                },
+                y: {
+                    stacked: true,
+                    ticks: {
+                        color: '#a0aec0',
+                        font: {
+                            family: 'Inter, sans-serif',
+                            size: fontSize
+                        }
+                    },
+                    grid: {
+                        display: false
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Update all charts with current data
+ * @returns {Promise<void>}
  */
-function updateAllCharts() {
-    const logs = loadLogs();
+async function updateAllCharts() {
+    const logs = await loadLogs();
     renderFocusAnxietyChart(logs);
     renderSweetSpotHeatmap(logs);
+    renderNicotineCurveChart(logs);
+    renderProductUsageChart(logs);
+    renderSpendChart(logs);
+    renderTriggerChart(logs);
 }
 
 // Handle window resize for charts
@@ -389,6 +985,18 @@ window.addEventListener('resize', () => {
         if (focusAnxietyChart) {
             focusAnxietyChart.resize();
         }
+        if (nicotineCurveChart) {
+            nicotineCurveChart.resize();
+        }
+        if (productUsageChart) {
+            productUsageChart.resize();
+        }
+        if (triggerChart) {
+            triggerChart.resize();
+        }
+        if (spendChart) {
+            spendChart.resize();
+        }
     }, 250);
 });
 
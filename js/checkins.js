@@ -0,0 +1,194 @@
+/**
+ * Cognitive check-ins for NicoTracker
+ * Check-ins are entries of their own (source 'None') that may name the intake
+ * they relate to in intakeId, so one intake can have several check-ins, e.g.
+ * one before it and others 15 and 60 minutes after.
+ */
+
+// How long after an intake the check-in form still links to it by default
+const CHECK_IN_LINK_WINDOW_MINUTES = 120;
+
+// How far back from a check-in the intake pickers list intakes
+const CHECK_IN_PICKER_HOURS = 24;
+
+// Intake the next check-in is for, set when arriving from the wizard
+let pendingCheckInIntakeId = null;
+
+/**
+ * Set up event listeners for the check-in form's intake picker
+ */
+function setupCheckInEventListeners() {
+    document.getElementById('checkInIntake').addEventListener('change', () => {
+        updateCheckInTiming();
+    });
+}
+
+/**
+ * Open the cognitive view with the check-in linked to an intake
+ * @param {string} intakeId - ID of the intake
+ */
+function openCheckIn(intakeId) {
+    pendingCheckInIntakeId = intakeId;
+    switchView('cognitiveView');
+}
+
+/**
+ * Intakes to offer in a picker, newest first
+ * @param {Date} start - Earliest intake time
+ * @param {Date} end - Latest intake time
+ * @param {string|null} includeId - Intake to list even when outside the range
+ * @returns {Promise<Array>} Intake logs
+ */
+async function getPickerIntakes(start, end, includeId) {
+    const intakes = (await getLogsByTimeRange(start, end)).filter(isIntakeLog);
+    if (includeId && !intakes.some(log => log.id === includeId)) {
+        const linked = await getLogById(includeId);
+        if (linked && isIntakeLog(linked)) {
+            intakes.push(linked);
+        }
+    }
+    return intakes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Fill an intake select with "No intake" and the given intakes
+ * @param {string} selectId - ID of the select element
+ * @param {Array} intakes - Intake logs, in display order
+ * @param {Date} reference - Time of the check-in, used to label other days
+ * @param {string|null} selectedId - Intake to select (none when not listed)
+ */
+function fillIntakeSelect(selectId, intakes, reference, selectedId) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No intake (standalone)';
+    select.appendChild(none);
+
+    intakes.forEach(intake => {
+        const option = document.createElement('option');
+        option.value = intake.id;
+        option.textContent = describeIntakeOption(intake, reference);
+        select.appendChild(option);
+    });
+    select.value = selectedId && intakes.some(intake => intake.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Label of an intake in a picker, e.g. "Yesterday 9:40 PM · Snus · 1 pieces · 8.0 mg"
+ * @param {Object} intake - Intake log
+ * @param {Date} reference - Time of the check-in
+ * @returns {string} Label
+ */
+function describeIntakeOption(intake, reference) {
+    const referenceDate = getLocalDateKey(reference);
+    let day = '';
+    if (intake.date === shiftDateKey(referenceDate, -1)) {
+        day = 'Yesterday ';
+    } else if (intake.date !== referenceDate) {
+        day = `${formatHistoryDate(intake.date)} `;
+    }
+    return [
+        `${day}${formatLocalTime(new Date(intake.timestamp))}`,
+        intake.source,
+        `${intake.amount} ${intake.unitType || ''}`.trim(),
+        `${(intake.estimatedMg || 0).toFixed(1)} mg`
+    ].join(' · ');
+}
+
+/**
+ * Fill the check-in form's intake picker
+ * Selects the intake the form was opened for, otherwise the latest intake if
+ * it was taken within CHECK_IN_LINK_WINDOW_MINUTES.
+ * @returns {Promise<void>}
+ */
+async function populateCheckInIntakes() {
+    const now = new Date();
+    const targetId = pendingCheckInIntakeId;
+    pendingCheckInIntakeId = null;
+
+    const intakes = await getPickerIntakes(
+        new Date(now.getTime() - CHECK_IN_PICKER_HOURS * 3600000), now, targetId
+    );
+    let selectedId = targetId;
+    if (!selectedId && intakes.length > 0 &&
+        now - new Date(intakes[0].timestamp) <= CHECK_IN_LINK_WINDOW_MINUTES * 60000) {
+        selectedId = intakes[0].id;
+    }
+    fillIntakeSelect('checkInIntake', intakes, now, selectedId);
+    await updateCheckInTiming();
+}
+
+/**
+ * Show when the check-in falls relative to the selected intake and list the
+ * check-ins already linked to it
+ * @returns {Promise<void>}
+ */
+async function updateCheckInTiming() {
+    const hint = document.getElementById('checkInTiming');
+    const intakeId = document.getElementById('checkInIntake').value;
+    if (!intakeId) {
+        hint.textContent = 'Saved as a standalone check-in.';
+        return;
+    }
+
+    const intake = await getLogById(intakeId);
+    if (!intake) {
+        hint.textContent = '';
+        return;
+    }
+    const now = { timestamp: new Date().toISOString() };
+    const earlier = await getCheckInsForIntake(intakeId);
+    hint.textContent = `Checking in ${describeCheckInTiming(now, intake)} this intake.`;
+    if (earlier.length > 0) {
+        hint.textContent += ` Already recorded: ${earlier.map(checkIn => describeCheckInTiming(checkIn, intake)).join(', ')}.`;
+    }
+}
+
+/**
+ * When a check-in was made relative to its intake, e.g. "15 min after"
+ * @param {Object} checkIn - Check-in log (only its timestamp is used)
+ * @param {Object} intake - Intake log
+ * @returns {string} Description
+ */
+function describeCheckInTiming(checkIn, intake) {
+    const minutes = Math.round((new Date(checkIn.timestamp) - new Date(intake.timestamp)) / 60000);
+    if (minutes === 0) {
+        return 'at the time of';
+    }
+    const distance = Math.abs(minutes);
+    const amount = distance < 90 ? `${distance} min` : `${(distance / 60).toFixed(1)} h`;
+    return `${amount} ${minutes > 0 ? 'after' : 'before'}`;
+}
+
+/**
+ * Short description of a check-in, e.g. "Cognitive check-in · 15 min after Snus"
+ * @param {Object} log - Check-in log
+ * @param {Map} intakesById - Intake logs by ID, to find the linked intake
+ * @returns {string} Description
+ */
+function describeCheckIn(log, intakesById) {
+    const intake = log.intakeId ? intakesById.get(log.intakeId) : null;
+    if (!intake) {
+        return 'Cognitive check-in';
+    }
+    return `Cognitive check-in · ${describeCheckInTiming(log, intake)} ${intake.source}`;
+}
+
+/**
+ * Fill the log editor's intake picker for a check-in
+ * Lists intakes from CHECK_IN_PICKER_HOURS before the check-in to a few hours
+ * after it, since a check-in may also be a baseline taken before the intake.
+ * @param {Object|null} log - Check-in being edited (null for a new entry)
+ * @returns {Promise<void>}
+ */
+async function populateEditorIntakeLink(log) {
+    const reference = log ? new Date(log.timestamp) : new Date();
+    const linkedId = log && log.intakeId ? log.intakeId : null;
+    const intakes = await getPickerIntakes(
+        new Date(reference.getTime() - CHECK_IN_PICKER_HOURS * 3600000),
+        new Date(reference.getTime() + 3 * 3600000),
+        linkedId
+    );
+    fillIntakeSelect('editIntakeLink', intakes, reference, linkedId);
+}
@@ -0,0 +1,309 @@
+/**
+ * Health effect and reason lists for NicoTracker
+ * Settings UI to add, rename, archive and reorder the items, and rendering of
+ * the wizard and log editor options from those lists. Logs store item IDs, so
+ * renaming an item relabels past entries too.
+ */
+
+// Reason option that asks for free text instead of an item ID
+const OTHER_REASON = 'Other';
+
+// Settings list container and add form for each list
+const CHOICE_LIST_UI = {
+    [CHOICE_LISTS.HEALTH_EFFECTS]: { listId: 'effectChoiceList', inputId: 'newEffectName', buttonId: 'addEffectBtn', noun: 'Effect' },
+    [CHOICE_LISTS.REASONS]: { listId: 'reasonChoiceList', inputId: 'newReasonName', buttonId: 'addReasonBtn', noun: 'Reason' }
+};
+
+/**
+ * Set up event listeners for managing the lists in settings
+ */
+function setupChoiceEventListeners() {
+    Object.entries(CHOICE_LIST_UI).forEach(([list, ui]) => {
+        document.getElementById(ui.buttonId).addEventListener('click', () => {
+            addChoiceFromUI(list);
+        });
+
+        document.getElementById(ui.inputId).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                addChoiceFromUI(list);
+            }
+        });
+
+        const container = document.getElementById(ui.listId);
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-choice-action]');
+            if (!button) return;
+            const itemId = button.dataset.choiceId;
+            try {
+                switch (button.dataset.choiceAction) {
+                    case 'up':
+                        moveChoice(list, itemId, -1);
+                        break;
+                    case 'down':
+                        moveChoice(list, itemId, 1);
+                        break;
+                    case 'archive':
+                        setChoiceArchived(list, itemId, true);
+                        showToast(`${ui.noun} archived`);
+                        break;
+                    case 'restore':
+                        setChoiceArchived(list, itemId, false);
+                        showToast(`${ui.noun} restored`);
+                        break;
+                }
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+            renderChoiceList(list);
+        });
+
+        // Names are edited in place and saved when the field loses focus
+        container.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-choice-name]');
+            if (!input) return;
+            try {
+                renameChoice(list, input.dataset.choiceName, input.value);
+                showToast(`${ui.noun} renamed`);
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+            renderChoiceList(list);
+        });
+    });
+}
+
+/**
+ * Render both lists in the settings modal
+ */
+function renderChoiceSettings() {
+    Object.values(CHOICE_LISTS).forEach(list => {
+        document.getElementById(CHOICE_LIST_UI[list].inputId).value = '';
+        renderChoiceList(list);
+    });
+}
+
+/**
+ * Render one list in the settings modal, active items first
+ * @param {string} list - One of CHOICE_LISTS
+ */
+function renderChoiceList(list) {
+    const container = document.getElementById(CHOICE_LIST_UI[list].listId);
+    const items = getChoices(list, true);
+    const active = items.filter(item => !item.archived);
+    container.innerHTML = '';
+
+    if (active.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-hint';
+        empty.textContent = 'Nothing to choose from. Add an item below.';
+        container.appendChild(empty);
+    }
+
+    active.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'product-item';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'input choice-name';
+        name.value = item.name;
+        name.dataset.choiceName = item.id;
+        name.setAttribute('aria-label', `Rename ${item.name}`);
+
+        row.appendChild(name);
+        row.appendChild(createChoiceActions(item.id, [
+            ['up', '↑', 'Move earlier', index === 0],
+            ['down', '↓', 'Move later', index === active.length - 1],
+            ['archive', 'Archive', 'Stop offering this; past entries keep it', false]
+        ]));
+        container.appendChild(row);
+    });
+
+    items.filter(item => item.archived).forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'product-item archived';
+
+        const name = document.createElement('div');
+        name.className = 'product-item-details';
+        name.textContent = `${item.name} (archived)`;
+
+        row.appendChild(name);
+        row.appendChild(createChoiceActions(item.id, [
+            ['restore', 'Restore', 'Offer this again', false]
+        ]));
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Build the action buttons of a settings row
+ * @param {string} itemId - ID of the item
+ * @param {Array} actions - [action, label, title, disabled] for each button
+ * @returns {HTMLElement} Button container
+ */
+function createChoiceActions(itemId, actions) {
+    const container = document.createElement('div');
+    container.className = 'preset-actions';
+    actions.forEach(([action, label, title, disabled]) => {
+        const button = document.createElement('button');
+        button.className = 'btn-link';
+        button.dataset.choiceAction = action;
+        button.dataset.choiceId = itemId;
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        container.appendChild(button);
+    });
+    return container;
+}
+
+/**
+ * Validate the add field of a list and save the new item
+ * @param {string} list - One of CHOICE_LISTS
+ */
+function addChoiceFromUI(list) {
+    const ui = CHOICE_LIST_UI[list];
+    const input = document.getElementById(ui.inputId);
+    try {
+        addChoice(list, input.value);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    input.value = '';
+    renderChoiceList(list);
+    showToast(`${ui.noun} added`);
+}
+
+/**
+ * Build a checkbox or radio option like the ones in the wizard
+ * @param {string} type - 'checkbox' or 'radio'
+ * @param {string} name - Input name
+ * @param {string} value - Input value
+ * @param {string} label - Text shown next to the input
+ * @returns {HTMLElement} Label element wrapping the input
+ */
+function createChoiceOption(type, name, value, label) {
+    const option = document.createElement('label');
+    option.className = `${type}-option`;
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value;
+    const text = document.createElement('span');
+    text.textContent = label;
+    option.appendChild(input);
+    option.appendChild(text);
+    return option;
+}
+
+/**
+ * Render the wizard's effect checkboxes and reason radios from the active items
+ */
+function renderWizardChoices() {
+    const effects = document.getElementById('healthEffectOptions');
+    effects.innerHTML = '';
+    getChoices(CHOICE_LISTS.HEALTH_EFFECTS).forEach(item => {
+        effects.appendChild(createChoiceOption('checkbox', 'healthEffects', item.id, item.name));
+    });
+
+    const reasons = document.getElementById('reasonOptions');
+    reasons.innerHTML = '';
+    getChoices(CHOICE_LISTS.REASONS).forEach(item => {
+        reasons.appendChild(createChoiceOption('radio', 'reason', item.id, item.name));
+    });
+    reasons.appendChild(createChoiceOption('radio', 'reason', OTHER_REASON, 'Other'));
+}
+
+/**
+ * Render the log editor's effect checkboxes and reason select for a log
+ * Archived items and unlinked names the log already has are kept as options,
+ * so saving the entry does not drop them.
+ * @param {Object|null} log - Log being edited (null for a new entry)
+ */
+function renderEditorChoices(log) {
+    const choices = loadChoices();
+    const logEffects = log && Array.isArray(log.healthEffects) ? log.healthEffects : [];
+    const logReason = log && isIntakeLog(log) ? log.reason : null;
+
+    const effects = document.getElementById('editEffectOptions');
+    effects.innerHTML = '';
+    const effectOptions = choices[CHOICE_LISTS.HEALTH_EFFECTS]
+        .filter(item => !item.archived || logEffects.includes(item.id))
+        .map(item => ({ value: item.id, label: item.name }));
+    logEffects
+        .filter(effect => !effectOptions.some(option => option.value === effect))
+        .forEach(effect => effectOptions.push({ value: effect, label: effect }));
+    effectOptions.forEach(option => {
+        const element = createChoiceOption('checkbox', 'editHealthEffects', option.value, option.label);
+        element.querySelector('input').checked = logEffects.includes(option.value);
+        effects.appendChild(element);
+    });
+
+    renderReasonSelect('editReason', 'editOtherReason', logReason, choices);
+}
+
+/**
+ * Fill a reason select with the active reasons, "Not specified" and "Other"
+ * An archived reason stays available when it is the current value; values that
+ * are not item IDs were typed under "Other" and go into the free text field.
+ * @param {string} selectId - ID of the select element
+ * @param {string} otherInputId - ID of the free text input shown for "Other"
+ * @param {string|null} value - Current reason ID or free text
+ * @param {Object} [choices] - Lists to use (loaded if omitted)
+ */
+function renderReasonSelect(selectId, otherInputId, value, choices = loadChoices()) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = '';
+    const addOption = (optionValue, label) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+    addOption('', 'Not specified');
+    choices[CHOICE_LISTS.REASONS]
+        .filter(item => !item.archived || item.id === value)
+        .forEach(item => addOption(item.id, item.name));
+    addOption(OTHER_REASON, 'Other');
+
+    const isOther = Boolean(value) && !choices[CHOICE_LISTS.REASONS].some(item => item.id === value);
+    select.value = isOther ? OTHER_REASON : (value || '');
+    document.getElementById(otherInputId).value = isOther ? value : '';
+    document.getElementById(otherInputId).style.display = isOther ? 'block' : 'none';
+}
+
+/**
+ * Read a reason select filled by renderReasonSelect
+ * @param {string} selectId - ID of the select element
+ * @param {string} otherInputId - ID of the free text input shown for "Other"
+ * @returns {Object} { value, missingOther } reason ID, free text or null, and
+ *   whether "Other" was chosen without any text
+ */
+function readReasonSelect(selectId, otherInputId) {
+    const selected = document.getElementById(selectId).value;
+    if (selected !== OTHER_REASON) {
+        return { value: selected || null, missingOther: false };
+    }
+    const text = document.getElementById(otherInputId).value.trim();
+    return { value: text || null, missingOther: !text };
+}
+
+/**
+ * Names of a log's or preset's health effects, joined for display
+ * @param {Array} effects - Item IDs or free text
+ * @returns {string} Comma separated names (empty when there are none)
+ */
+function describeHealthEffects(effects) {
+    const choices = loadChoices();
+    return (effects || []).map(effect => getChoiceName(CHOICE_LISTS.HEALTH_EFFECTS, effect, choices)).join(', ');
+}
+
+/**
+ * Name of a log's or preset's reason
+ * @param {string|null} reason - Item ID or free text
+ * @returns {string} Name (empty when there is none)
+ */
+function describeReason(reason) {
+    return reason ? getChoiceName(CHOICE_LISTS.REASONS, reason) : '';
+}
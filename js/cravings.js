@@ -0,0 +1,221 @@
+/**
+ * Craving log for NicoTracker
+ * Records urges with their intensity, trigger, duration and whether they were
+ * resisted, as entries with source 'Craving' that carry no nicotine. Triggers
+ * use the reason list (see choices.js) so they line up with intake reasons.
+ */
+
+// Craving currently open in the modal (null when logging a new one)
+let editingCraving = null;
+
+/**
+ * Set up event listeners for the craving button and modal
+ */
+function setupCravingEventListeners() {
+    document.getElementById('logCravingBtn').addEventListener('click', () => {
+        openCravingModal(null);
+    });
+
+    document.getElementById('closeCraving').addEventListener('click', () => {
+        closeModal('cravingModal');
+    });
+
+    document.getElementById('cravingIntensity').addEventListener('input', (e) => {
+        document.getElementById('cravingIntensityValue').textContent = e.target.value;
+    });
+
+    document.getElementById('cravingTrigger').addEventListener('change', (e) => {
+        document.getElementById('cravingOtherTrigger').style.display = e.target.value === OTHER_REASON ? 'block' : 'none';
+    });
+
+    document.getElementById('cravingResistedBtn').addEventListener('click', () => {
+        setCravingOutcome(true);
+    });
+
+    document.getElementById('cravingGaveInBtn').addEventListener('click', () => {
+        setCravingOutcome(false);
+    });
+
+    document.getElementById('saveCravingBtn').addEventListener('click', () => {
+        saveCravingFromModal();
+    });
+
+    document.getElementById('deleteCravingBtn').addEventListener('click', () => {
+        deleteCravingFromModal();
+    });
+}
+
+/**
+ * Mark the outcome buttons
+ * @param {boolean|null} resisted - True for resisted, false for gave in, null for neither
+ */
+function setCravingOutcome(resisted) {
+    document.getElementById('cravingResistedBtn').classList.toggle('active', resisted === true);
+    document.getElementById('cravingGaveInBtn').classList.toggle('active', resisted === false);
+}
+
+/**
+ * Open the craving modal for a new craving or an existing one
+ * @param {string|null} logId - ID of the craving to edit, or null for a new one
+ * @returns {Promise<void>}
+ */
+async function openCravingModal(logId) {
+    const log = logId ? await getLogById(logId) : null;
+    if (logId && !log) {
+        showToast('Entry not found', 'error');
+        return;
+    }
+    editingCraving = log;
+
+    document.getElementById('cravingTitle').textContent = log ? 'Edit Craving' : 'Log a Craving';
+    document.getElementById('deleteCravingBtn').style.display = log ? 'inline-flex' : 'none';
+
+    const timestamp = log ? new Date(log.timestamp) : new Date();
+    document.getElementById('cravingTimestamp').value = toDateTimeLocalValue(timestamp);
+    document.getElementById('cravingTimestamp').max = toDateTimeLocalValue(new Date());
+    const intensity = log && log.intensity ? log.intensity : 5;
+    document.getElementById('cravingIntensity').value = intensity;
+    document.getElementById('cravingIntensityValue').textContent = String(intensity);
+    renderReasonSelect('cravingTrigger', 'cravingOtherTrigger', log ? log.trigger : null);
+    setCravingOutcome(log ? log.resisted : null);
+    document.getElementById('cravingDuration').value = log && log.durationMinutes != null ? log.durationMinutes : '';
+    document.getElementById('cravingNotes').value = log && log.notes ? log.notes : '';
+
+    openModal('cravingModal');
+}
+
+/**
+ * Validate the craving modal and save the craving
+ * After saving a new craving that was not resisted, offers to log the intake.
+ * @returns {Promise<void>}
+ */
+async function saveCravingFromModal() {
+    const timestampValue = document.getElementById('cravingTimestamp').value;
+    const when = fromDateTimeLocalValue(timestampValue);
+    if (!timestampValue || isNaN(when.getTime())) {
+        showToast('Please choose a valid date and time', 'error');
+        return;
+    }
+    if (when > new Date()) {
+        showToast('Entries cannot be in the future', 'error');
+        return;
+    }
+
+    const resistedBtn = document.getElementById('cravingResistedBtn');
+    const gaveInBtn = document.getElementById('cravingGaveInBtn');
+    if (!resistedBtn.classList.contains('active') && !gaveInBtn.classList.contains('active')) {
+        showToast('Did you resist it or give in?', 'error');
+        return;
+    }
+
+    const trigger = readReasonSelect('cravingTrigger', 'cravingOtherTrigger');
+    if (trigger.missingOther) {
+        showToast('Please specify the trigger', 'error');
+        return;
+    }
+
+    const durationValue = document.getElementById('cravingDuration').value;
+    const duration = parseFloat(durationValue);
+    if (durationValue !== '' && (isNaN(duration) || duration < 0)) {
+        showToast('Please enter how many minutes it lasted', 'error');
+        return;
+    }
+
+    const resisted = resistedBtn.classList.contains('active');
+    const logData = {
+        timestamp: when.toISOString(),
+        date: getLocalDateKey(when),
+        timeOfDay: getTimeOfDay(when),
+        source: 'Craving',
+        unitType: 'other',
+        productId: null,
+        amount: 0,
+        estimatedMg: 0,
+        intensity: parseInt(document.getElementById('cravingIntensity').value),
+        trigger: trigger.value,
+        resisted,
+        durationMinutes: durationValue === '' ? null : duration,
+        reason: null,
+        healthEffects: [],
+        notes: document.getElementById('cravingNotes').value.trim() || null
+    };
+
+    const existing = editingCraving;
+    try {
+        if (existing) {
+            await updateLog(existing.id, logData);
+        } else {
+            await addLog({
+                ...logData,
+                focusLevel: null,
+                anxietyLevel: null,
+                clearThinking: null
+            });
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to save craving', 'error');
+        return;
+    }
+
+    editingCraving = null;
+    closeModal('cravingModal');
+    refreshAfterLogChange();
+    if (existing) {
+        showToast('Craving updated');
+    } else if (resisted) {
+        showToast('Craving beaten — nice work');
+    } else {
+        showToast('Craving saved', 'success', {
+            label: 'Log intake',
+            onClick: () => openWizard()
+        });
+    }
+}
+
+/**
+ * Delete the craving open in the modal after confirmation
+ * @returns {Promise<void>}
+ */
+async function deleteCravingFromModal() {
+    if (!editingCraving) return;
+    if (!confirm('Delete this craving? This cannot be undone.')) return;
+
+    try {
+        await deleteLog(editingCraving.id);
+    } catch (error) {
+        showToast(error.message || 'Failed to delete craving', 'error');
+        return;
+    }
+
+    editingCraving = null;
+    closeModal('cravingModal');
+    refreshAfterLogChange();
+    showToast('Craving deleted');
+}
+
+/**
+ * Short description of a craving, e.g. "Craving 7/10 · Stress · resisted · 10 min"
+ * @param {Object} log - Craving log
+ * @returns {string} Description
+ */
+function describeCraving(log) {
+    return [
+        log.intensity ? `Craving ${log.intensity}/10` : 'Craving',
+        describeReason(log.trigger),
+        log.resisted ? 'resisted' : 'gave in',
+        log.durationMinutes != null ? `${log.durationMinutes} min` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Update the dashboard card counting cravings beaten today
+ * @param {Array} todayLogs - Logs of the current tracking day
+ */
+function updateCravingCard(todayLogs) {
+    const cravings = todayLogs.filter(isCravingLog);
+    const resisted = cravings.filter(log => log.resisted).length;
+    document.getElementById('cravingsBeatenValue').textContent = String(resisted);
+    document.getElementById('cravingsTodayValue').textContent = cravings.length === 0
+        ? 'No cravings logged today'
+        : `of ${cravings.length} ${cravings.length === 1 ? 'craving' : 'cravings'} logged today`;
+}
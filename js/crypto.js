@@ -0,0 +1,365 @@
+/**
+ * Passphrase encryption for NicoTracker backups
+ * Uses the Web Crypto API: PBKDF2 derives an AES-GCM key plus a verifier from
+ * the passphrase, so a wrong passphrase can be told apart from a tampered file.
+ * Also provides the passphrase prompt shared by export and import.
+ */
+
+const ENCRYPTED_FORMAT = 'nicotracker-encrypted';
+const ENCRYPTED_FORMAT_VERSION = 1;
+
+// PBKDF2 work factor for new files; decryption reads it from the file
+const PBKDF2_ITERATIONS = 600000;
+
+// Highest work factor a file may ask for, so a crafted file cannot hang decryption
+const PBKDF2_MAX_ITERATIONS = PBKDF2_ITERATIONS * 10;
+
+// Shortest passphrase accepted when encrypting
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const CRYPTO_ERRORS = {
+    WRONG_PASSPHRASE: 'wrong-passphrase',
+    TAMPERED: 'tampered',
+    MALFORMED: 'malformed',
+    UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * Create an Error carrying one of CRYPTO_ERRORS as its code
+ * @param {string} code - Error code
+ * @param {string} message - Message shown to the user
+ * @returns {Error} Error object
+ */
+function createCryptoError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derive the AES key and the passphrase verifier
+ * The first 256 bits become the key, the next 256 bits the verifier.
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} { key, verifier }
+ */
+async function deriveKeyMaterial(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        512
+    ));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { key, verifier: bits.slice(32) };
+}
+
+/**
+ * Compare a derived verifier with a stored one
+ * @param {Uint8Array} derived - Verifier from deriveKeyMaterial
+ * @param {Uint8Array} stored - Verifier read from storage
+ * @returns {boolean} True when the passphrase was right
+ */
+function verifiersMatch(derived, stored) {
+    return derived.length === stored.length && derived.every((byte, i) => byte === stored[i]);
+}
+
+/**
+ * Encrypt a JSON-serialisable value with an already derived key
+ * @param {*} value - Value to encrypt
+ * @param {CryptoKey} key - AES-GCM key from deriveKeyMaterial
+ * @returns {Promise<Object>} { iv, data } as base64
+ */
+async function sealJson(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt a value produced by sealJson
+ * @param {Object} sealed - { iv, data } as base64
+ * @param {CryptoKey} key - AES-GCM key from deriveKeyMaterial
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With code CRYPTO_ERRORS.TAMPERED if it does not decrypt
+ */
+async function openSealedJson(sealed, key) {
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+            key,
+            base64ToBytes(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw createCryptoError(CRYPTO_ERRORS.TAMPERED, 'Stored data has been modified or corrupted');
+    }
+}
+
+/**
+ * Header fields bound to the ciphertext so they cannot be swapped unnoticed
+ * @param {Object} envelope - Encrypted file
+ * @returns {Uint8Array} Additional authenticated data
+ */
+function getEnvelopeAad(envelope) {
+    return new TextEncoder().encode(JSON.stringify({
+        format: envelope.format,
+        version: envelope.version,
+        kdf: envelope.kdf
+    }));
+}
+
+/**
+ * Whether parsed JSON is an encrypted NicoTracker file
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True for encrypted files
+ */
+function isEncryptedFile(data) {
+    return Boolean(data) && data.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * Encrypt a JSON-serialisable value with a passphrase
+ * @param {*} data - Value to encrypt
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Encrypted file contents
+ */
+async function encryptJson(data, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { key, verifier } = await deriveKeyMaterial(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const envelope = {
+        format: ENCRYPTED_FORMAT,
+        version: ENCRYPTED_FORMAT_VERSION,
+        kdf: {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt)
+        }
+    };
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: getEnvelopeAad(envelope) },
+        key,
+        new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return {
+        ...envelope,
+        iv: bytesToBase64(iv),
+        verifier: bytesToBase64(verifier),
+        ciphertext: bytesToBase64(ciphertext)
+    };
+}
+
+/**
+ * Decrypt a file produced by encryptJson
+ * @param {Object} envelope - Encrypted file contents
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With a code from CRYPTO_ERRORS
+ */
+async function decryptJson(envelope, passphrase) {
+    if (envelope.version !== ENCRYPTED_FORMAT_VERSION) {
+        throw createCryptoError(CRYPTO_ERRORS.UNSUPPORTED, 'This encrypted file was created by a newer version of NicoTracker');
+    }
+
+    let salt;
+    let iv;
+    let verifier;
+    let ciphertext;
+    try {
+        salt = base64ToBytes(envelope.kdf.salt);
+        iv = base64ToBytes(envelope.iv);
+        verifier = base64ToBytes(envelope.verifier);
+        ciphertext = base64ToBytes(envelope.ciphertext);
+    } catch (error) {
+        throw createCryptoError(CRYPTO_ERRORS.MALFORMED, 'The encrypted file is damaged and cannot be read');
+    }
+    const iterations = envelope.kdf.iterations;
+    if (envelope.kdf.name !== 'PBKDF2' || envelope.kdf.hash !== 'SHA-256' || !Number.isInteger(iterations) || iterations < 1) {
+        throw createCryptoError(CRYPTO_ERRORS.MALFORMED, 'The encrypted file is damaged and cannot be read');
+    }
+    if (iterations > PBKDF2_MAX_ITERATIONS) {
+        throw createCryptoError(CRYPTO_ERRORS.UNSUPPORTED, 'This encrypted file asks for more key derivation work than NicoTracker allows');
+    }
+
+    const material = await deriveKeyMaterial(passphrase, salt, iterations);
+    if (!verifiersMatch(material.verifier, verifier)) {
+        throw createCryptoError(CRYPTO_ERRORS.WRONG_PASSPHRASE, 'Wrong passphrase');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: getEnvelopeAad(envelope) },
+            material.key,
+            ciphertext
+        );
+    } catch (error) {
+        // The passphrase is right, so the contents must have been altered
+        throw createCryptoError(CRYPTO_ERRORS.TAMPERED, 'The file has been modified or corrupted and cannot be trusted');
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw createCryptoError(CRYPTO_ERRORS.MALFORMED, 'The encrypted file is damaged and cannot be read');
+    }
+}
+
+// Resolve function of the open passphrase prompt and its confirmation rules
+let passphraseRequest = null;
+
+/**
+ * Set up event listeners for the passphrase modal
+ */
+function setupPassphraseEventListeners() {
+    const modal = document.getElementById('passphraseModal');
+
+    document.getElementById('closePassphrase').addEventListener('click', () => {
+        settlePassphraseRequest(null);
+    });
+
+    document.getElementById('cancelPassphraseBtn').addEventListener('click', () => {
+        settlePassphraseRequest(null);
+    });
+
+    document.getElementById('confirmPassphraseBtn').addEventListener('click', () => {
+        submitPassphrase();
+    });
+
+    ['passphraseInput', 'passphraseConfirm'].forEach(id => {
+        document.getElementById(id).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submitPassphrase();
+            }
+        });
+    });
+
+    // The shared backdrop handler only hides the modal; also end the request
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            settlePassphraseRequest(null);
+        }
+    });
+}
+
+/**
+ * Ask the user for a passphrase
+ * @param {Object} options - Prompt options
+ * @param {string} options.title - Modal title
+ * @param {string} options.hint - Explanation shown above the input
+ * @param {boolean} options.confirm - Ask twice and enforce the minimum length (for encrypting)
+ * @param {number} options.minLength - Minimum length when confirming
+ * @param {string} options.error - Error from a previous attempt (optional)
+ * @returns {Promise<string|null>} Passphrase, null if cancelled
+ */
+function requestPassphrase({ title, hint, confirm = false, minLength = MIN_PASSPHRASE_LENGTH, error = '' }) {
+    // Only one prompt at a time; a stale one counts as cancelled
+    settlePassphraseRequest(null);
+
+    document.getElementById('passphraseTitle').textContent = title;
+    document.getElementById('passphraseHint').textContent = hint;
+    document.getElementById('passphraseInput').value = '';
+    document.getElementById('passphraseConfirm').value = '';
+    document.getElementById('passphraseConfirmGroup').style.display = confirm ? 'block' : 'none';
+    showPassphraseError(error);
+
+    openModal('passphraseModal');
+    document.getElementById('passphraseInput').focus();
+
+    return new Promise(resolve => {
+        passphraseRequest = { resolve, confirm, minLength };
+    });
+}
+
+/**
+ * Show or clear the error line in the passphrase modal
+ * @param {string} message - Error message, empty to hide
+ */
+function showPassphraseError(message) {
+    const errorEl = document.getElementById('passphraseError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Validate the entered passphrase and resolve the open prompt with it
+ */
+function submitPassphrase() {
+    if (!passphraseRequest) return;
+    const passphrase = document.getElementById('passphraseInput').value;
+
+    if (!passphrase) {
+        showPassphraseError('Please enter a passphrase');
+        return;
+    }
+    if (passphraseRequest.confirm) {
+        if (passphrase.length < passphraseRequest.minLength) {
+            showPassphraseError(`Use at least ${passphraseRequest.minLength} characters`);
+            return;
+        }
+        if (passphrase !== document.getElementById('passphraseConfirm').value) {
+            showPassphraseError('The passphrases do not match');
+            return;
+        }
+    }
+
+    settlePassphraseRequest(passphrase);
+}
+
+/**
+ * Close the passphrase modal and resolve the open prompt
+ * @param {string|null} passphrase - Entered passphrase, null if cancelled
+ */
+function settlePassphraseRequest(passphrase) {
+    if (!passphraseRequest) return;
+    const { resolve } = passphraseRequest;
+    passphraseRequest = null;
+    document.getElementById('passphraseInput').value = '';
+    document.getElementById('passphraseConfirm').value = '';
+    closeModal('passphraseModal');
+    resolve(passphrase);
+}
@@ -0,0 +1,603 @@
+/**
+ * CSV export and import for NicoTracker
+ * Writes one row per log for spreadsheets and imports CSV files through a
+ * column mapping, a preview and per-row validation before anything is saved
+ */
+
+// Columns written by the CSV export, in order
+const CSV_EXPORT_COLUMNS = [
+    'id', 'timestamp', 'date', 'time', 'timeOfDay', 'source', 'product',
+    'amount', 'unitType', 'unitSize', 'strength', 'strengthUnit', 'estimatedMg',
+    'cost', 'reason', 'healthEffects', 'focusLevel', 'anxietyLevel', 'clearThinking',
+    'intensity', 'trigger', 'resisted', 'durationMinutes', 'intakeId', 'notes'
+];
+
+// Log fields a CSV column can be mapped to on import
+const CSV_IMPORT_FIELDS = [
+    { key: 'timestamp', label: 'Date & time', required: true },
+    { key: 'source', label: 'Source', required: true },
+    { key: 'amount', label: 'Quantity' },
+    { key: 'unitType', label: 'Unit' },
+    { key: 'unitSize', label: 'Unit size (ml per pod)' },
+    { key: 'strength', label: 'Strength' },
+    { key: 'estimatedMg', label: 'Estimated mg' },
+    { key: 'cost', label: 'Cost' },
+    { key: 'reason', label: 'Reason' },
+    { key: 'healthEffects', label: 'Health effects' },
+    { key: 'focusLevel', label: 'Focus (1-10)' },
+    { key: 'anxietyLevel', label: 'Anxiety (1-10)' },
+    { key: 'clearThinking', label: 'Clear thinking (yes/no)' },
+    { key: 'intensity', label: 'Craving intensity (1-10)' },
+    { key: 'trigger', label: 'Craving trigger' },
+    { key: 'resisted', label: 'Craving resisted (yes/no)' },
+    { key: 'durationMinutes', label: 'Craving duration (minutes)' },
+    { key: 'notes', label: 'Notes' },
+    { key: 'id', label: 'Entry ID' },
+    { key: 'intakeId', label: 'Check-in for intake ID' }
+];
+
+// Separator for list values (healthEffects) inside one cell
+const CSV_LIST_SEPARATOR = '; ';
+
+// Rows shown in the import preview table
+const CSV_PREVIEW_ROWS = 5;
+
+// Parsed file, mapping and validation results of the import in progress
+let csvImportState = null;
+
+/**
+ * Set up event listeners for CSV export and the CSV import modal
+ */
+function setupCsvEventListeners() {
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        exportCsvFromUI();
+    });
+
+    document.getElementById('importCsvInput').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so choosing the same file again still triggers a change
+        e.target.value = '';
+        if (file) {
+            openCsvImport(file);
+        }
+    });
+
+    document.getElementById('closeCsvImport').addEventListener('click', () => {
+        closeCsvImport();
+    });
+
+    document.getElementById('cancelCsvImportBtn').addEventListener('click', () => {
+        closeCsvImport();
+    });
+
+    document.getElementById('csvMappingList').addEventListener('change', (e) => {
+        const select = e.target.closest('[data-csv-field]');
+        if (select && csvImportState) {
+            csvImportState.mapping[select.dataset.csvField] = select.value === '' ? null : parseInt(select.value);
+            validateCsvImport();
+        }
+    });
+
+    document.getElementById('confirmCsvImportBtn').addEventListener('click', () => {
+        confirmCsvImport();
+    });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells (blank lines skipped)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    // Spreadsheet apps often prepend a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Write a true/false/empty field as yes, no or an empty cell
+ * @param {boolean|null} value - Field value
+ * @returns {string} Cell text
+ */
+function formatCsvYesNo(value) {
+    return value === true ? 'yes' : (value === false ? 'no' : '');
+}
+
+/**
+ * Quote a value for a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise logs as CSV, one row per log
+ * @param {Array} logs - Array of log objects
+ * @param {Object} [settings] - Settings object used for local times (loaded if omitted)
+ * @returns {string} CSV content with a header row
+ */
+function logsToCsv(logs, settings = loadSettings()) {
+    const products = loadProducts();
+    const productNames = new Map(products.map(product => [product.id, product.name]));
+    const choices = loadChoices();
+
+    const lines = [CSV_EXPORT_COLUMNS.join(',')];
+    logs.forEach(log => {
+        const when = new Date(log.timestamp);
+        const values = {
+            ...log,
+            time: toLocalWallClock(when, settings).toISOString().slice(11, 16),
+            product: productNames.get(log.productId) || '',
+            // Entries without a saved cost are priced from their product
+            cost: getLogCost(log, products),
+            // Effects and reasons are written by name; importing links them back to IDs
+            reason: log.reason ? getChoiceName(CHOICE_LISTS.REASONS, log.reason, choices) : log.reason,
+            trigger: log.trigger ? getChoiceName(CHOICE_LISTS.REASONS, log.trigger, choices) : log.trigger,
+            healthEffects: (log.healthEffects || [])
+                .map(effect => getChoiceName(CHOICE_LISTS.HEALTH_EFFECTS, effect, choices))
+                .join(CSV_LIST_SEPARATOR),
+            clearThinking: formatCsvYesNo(log.clearThinking),
+            resisted: formatCsvYesNo(log.resisted)
+        };
+        lines.push(CSV_EXPORT_COLUMNS.map(column => escapeCsvCell(values[column])).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Export logs in a tracking day range as a CSV download
+ * @param {string} [startDate] - First day (YYYY-MM-DD); from the first log if omitted
+ * @param {string} [endDate] - Last day (YYYY-MM-DD); up to the latest log if omitted
+ * @returns {Promise<number>} Number of exported logs
+ */
+async function exportCsv(startDate, endDate) {
+    const logs = startDate || endDate
+        ? await getLogsByDateRange(startDate || '0000-01-01', endDate || '9999-12-31')
+        : await loadLogs();
+    logs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const range = startDate || endDate ? `${startDate || 'start'}-to-${endDate || getTodayKey()}` : getTodayKey();
+    downloadFile(logsToCsv(logs), `nicotracker-export-${range}.csv`, 'text/csv');
+    return logs.length;
+}
+
+/**
+ * Read the export date range from settings and download the CSV
+ * @returns {Promise<void>}
+ */
+async function exportCsvFromUI() {
+    const startDate = document.getElementById('csvExportFrom').value;
+    const endDate = document.getElementById('csvExportTo').value;
+    if (startDate && endDate && startDate > endDate) {
+        showToast('The start date must be before the end date', 'error');
+        return;
+    }
+
+    try {
+        const count = await exportCsv(startDate, endDate);
+        showToast(`Exported ${count} ${count === 1 ? 'entry' : 'entries'} to CSV`);
+    } catch (error) {
+        console.error('Error exporting CSV:', error);
+        showToast('Failed to export CSV', 'error');
+    }
+}
+
+/**
+ * Normalise a header for matching against field names ("Estimated mg" -> "estimatedmg")
+ * @param {string} header - Column header
+ * @returns {string} Comparable key
+ */
+function normalizeCsvHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which CSV column feeds each importable field from the headers
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Map of field key -> column index (or null)
+ */
+function guessCsvMapping(headers) {
+    const normalized = headers.map(normalizeCsvHeader);
+    const aliases = {
+        timestamp: ['datetime', 'when', 'time', 'date'],
+        amount: ['quantity', 'qty'],
+        estimatedMg: ['mg', 'nicotinemg'],
+        cost: ['price', 'spend', 'spent'],
+        healthEffects: ['effects'],
+        focusLevel: ['focus'],
+        anxietyLevel: ['anxiety'],
+        intensity: ['cravingintensity'],
+        trigger: ['cravingtrigger'],
+        resisted: ['cravingresisted'],
+        durationMinutes: ['duration', 'minutes']
+    };
+
+    const mapping = {};
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const candidates = [normalizeCsvHeader(field.key), normalizeCsvHeader(field.label), ...(aliases[field.key] || [])];
+        const index = candidates.map(name => normalized.indexOf(name)).find(i => i !== -1);
+        mapping[field.key] = index === undefined ? null : index;
+    });
+    return mapping;
+}
+
+/**
+ * Parse a date/time cell: ISO timestamps keep their zone, plain
+ * "YYYY-MM-DD HH:mm" values are read as local time, dates alone as midday
+ * @param {string} value - Cell value
+ * @returns {Date} Parsed date (invalid Date if the value is malformed)
+ */
+function parseCsvTimestamp(value) {
+    const text = value.trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        return new Date(text);
+    }
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2}))?/);
+    if (!match) return new Date(NaN);
+    const [, date, hours = '12', minutes = '00'] = match;
+    return fromDateTimeLocalValue(`${date}T${hours.padStart(2, '0')}:${minutes}`);
+}
+
+/**
+ * Turn one mapped CSV row into a log, collecting validation errors
+ * @param {Array<string>} cells - Row cells
+ * @param {Object} mapping - Field key -> column index
+ * @param {Object} settings - Settings object
+ * @returns {Object} { log, errors } where log is null when the row is invalid
+ */
+function csvRowToLog(cells, mapping, settings) {
+    const errors = [];
+    const read = key => {
+        const index = mapping[key];
+        return index === null || index === undefined ? '' : (cells[index] || '').trim();
+    };
+    const readNumber = (key, label) => {
+        const value = read(key);
+        if (value === '') return null;
+        // A comma is only a decimal separator in "1,5" or "1,25"; "1,234" could be a thousand
+        const commaDecimal = /^\d+,\d{1,2}$/.test(value);
+        if (value.includes(',') && !commaDecimal) {
+            errors.push(`${label} "${value}" is ambiguous; write it without thousands separators`);
+            return null;
+        }
+        const number = Number(commaDecimal ? value.replace(',', '.') : value);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push(`${label} "${value}" is not a valid number`);
+            return null;
+        }
+        return number;
+    };
+    const readYesNo = (key, label) => {
+        const value = read(key).toLowerCase();
+        if (['yes', 'y', 'true', '1'].includes(value)) return true;
+        if (['no', 'n', 'false', '0'].includes(value)) return false;
+        if (value) {
+            errors.push(`${label} "${read(key)}" should be yes or no`);
+        }
+        return null;
+    };
+    const readRating = (key, label) => {
+        const rating = readNumber(key, label);
+        if (rating !== null && (rating < 1 || rating > 10)) {
+            errors.push(`${label} must be between 1 and 10`);
+            return null;
+        }
+        return rating;
+    };
+
+    const when = parseCsvTimestamp(read('timestamp'));
+    if (!read('timestamp')) {
+        errors.push('Date & time is empty');
+    } else if (isNaN(when.getTime())) {
+        errors.push(`Date & time "${read('timestamp')}" is not recognised`);
+    } else if (when > new Date()) {
+        errors.push('Date & time is in the future');
+    }
+
+    const sourceValue = read('source').toLowerCase();
+    const sourceAliases = { cigarette: 'Cigarettes', urge: 'Craving', 'check-in': 'None', checkin: 'None', '': null };
+    const source = LOG_SOURCES.find(name => name.toLowerCase() === sourceValue) ||
+        sourceAliases[sourceValue] || null;
+    if (!source) {
+        errors.push(sourceValue ? `Source "${read('source')}" is not Vape, Cigarettes, Snus, Craving or None` : 'Source is empty');
+    }
+
+    const amount = readNumber('amount', 'Quantity');
+    const strength = readNumber('strength', 'Strength');
+    const unitSize = readNumber('unitSize', 'Unit size');
+    let estimatedMg = readNumber('estimatedMg', 'Estimated mg');
+    const cost = readNumber('cost', 'Cost');
+    const focusLevel = readRating('focusLevel', 'Focus');
+    const anxietyLevel = readRating('anxietyLevel', 'Anxiety');
+
+    const clearThinking = readYesNo('clearThinking', 'Clear thinking');
+
+    const isCraving = source === 'Craving';
+    const isIntake = source && source !== 'None' && !isCraving;
+    const unitType = read('unitType').toLowerCase() || (source === 'Vape' ? 'puffs' : 'pieces');
+    if (!LOG_UNIT_TYPES.includes(unitType)) {
+        errors.push(`Unit "${read('unitType')}" is not one of ${LOG_UNIT_TYPES.join(', ')}`);
+    }
+    let formulaVersion = null;
+    if (isIntake) {
+        if (!amount) {
+            errors.push('Quantity is required for intake entries');
+        }
+        if (estimatedMg === null && strength) {
+            estimatedMg = calculateEstimatedMg(source, amount, strength, unitType, unitSize, settings);
+            formulaVersion = ESTIMATE_FORMULA_VERSION;
+        }
+        if (estimatedMg === null) {
+            errors.push('Needs either estimated mg or a strength to calculate it');
+        }
+    }
+    const intensity = readRating('intensity', 'Craving intensity');
+    const resisted = readYesNo('resisted', 'Craving resisted');
+    const durationMinutes = readNumber('durationMinutes', 'Craving duration');
+    if (isCraving && intensity === null && !read('intensity')) {
+        errors.push('Craving intensity is required for cravings');
+    }
+    if (isCraving && resisted === null && !read('resisted')) {
+        errors.push('Craving resisted (yes/no) is required for cravings');
+    }
+
+    if (errors.length > 0) {
+        return { log: null, errors };
+    }
+
+    const log = normalizeLog({
+        id: read('id') || generateId(),
+        timestamp: when.toISOString(),
+        source,
+        unitType: isIntake ? unitType : 'other',
+        unitSize,
+        amount: isIntake ? amount : 0,
+        strength: isIntake ? strength : null,
+        estimatedMg: isIntake ? estimatedMg : 0,
+        formulaVersion,
+        cost: isIntake ? cost : null,
+        reason: isIntake ? (read('reason') || null) : (isCraving ? null : 'Cognitive check-in only'),
+        healthEffects: read('healthEffects')
+            ? read('healthEffects').split(/[;|]/).map(effect => effect.trim()).filter(Boolean)
+            : [],
+        focusLevel,
+        anxietyLevel,
+        clearThinking,
+        ...(isCraving ? { intensity, trigger: read('trigger') || null, resisted, durationMinutes } : {}),
+        ...(source === 'None' ? { intakeId: read('intakeId') || null } : {}),
+        notes: read('notes') || null
+    }, settings);
+    return { log, errors };
+}
+
+/**
+ * Read a CSV file and open the import modal with a guessed column mapping
+ * @param {File} file - CSV file
+ * @returns {Promise<void>}
+ */
+async function openCsvImport(file) {
+    let rows;
+    try {
+        rows = parseCsv(await file.text());
+    } catch (error) {
+        showToast('Failed to read file', 'error');
+        return;
+    }
+    if (rows.length < 2) {
+        showToast('The CSV file needs a header row and at least one entry', 'error');
+        return;
+    }
+
+    const [headers, ...dataRows] = rows;
+    csvImportState = {
+        fileName: file.name,
+        headers,
+        rows: dataRows,
+        mapping: guessCsvMapping(headers),
+        results: []
+    };
+
+    renderCsvMapping();
+    await validateCsvImport();
+    openModal('csvImportModal');
+}
+
+/**
+ * Close the CSV import modal and forget the parsed file
+ */
+function closeCsvImport() {
+    csvImportState = null;
+    closeModal('csvImportModal');
+}
+
+/**
+ * Render one column picker per importable field
+ */
+function renderCsvMapping() {
+    const container = document.getElementById('csvMappingList');
+    container.innerHTML = '';
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'csv-mapping-row';
+
+        const label = document.createElement('label');
+        label.className = 'form-label';
+        label.htmlFor = `csvMap-${field.key}`;
+        label.textContent = field.required ? `${field.label} *` : field.label;
+
+        const select = document.createElement('select');
+        select.className = 'input';
+        select.id = `csvMap-${field.key}`;
+        select.dataset.csvField = field.key;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '— Not imported —';
+        select.appendChild(none);
+        csvImportState.headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header || `Column ${index + 1}`;
+            select.appendChild(option);
+        });
+        const mapped = csvImportState.mapping[field.key];
+        select.value = mapped === null ? '' : String(mapped);
+
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Validate every row against the current mapping and refresh the preview
+ * Rows whose ID already exists are reported instead of overwriting the stored entry.
+ * @returns {Promise<void>}
+ */
+async function validateCsvImport() {
+    const state = csvImportState;
+    const settings = loadSettings();
+    const existingIds = new Set((await loadLogs()).map(log => log.id));
+    const seenIds = new Set();
+
+    state.results = state.rows.map((cells, index) => {
+        const result = csvRowToLog(cells, state.mapping, settings);
+        if (result.log) {
+            if (existingIds.has(result.log.id) || seenIds.has(result.log.id)) {
+                result.errors.push(`An entry with ID ${result.log.id} already exists`);
+                result.log = null;
+            } else {
+                seenIds.add(result.log.id);
+            }
+        }
+        // Data rows start on line 2 of the file, after the header
+        return { line: index + 2, ...result };
+    });
+
+    renderCsvPreview();
+}
+
+/**
+ * Show a preview of the first rows, the row errors and the import button state
+ */
+function renderCsvPreview() {
+    const state = csvImportState;
+    const validCount = state.results.filter(result => result.log).length;
+    const invalid = state.results.filter(result => !result.log);
+
+    document.getElementById('csvImportSummary').textContent =
+        `${state.fileName}: ${state.rows.length} ${state.rows.length === 1 ? 'row' : 'rows'}, ` +
+        `${validCount} ready to import, ${invalid.length} with errors.`;
+
+    const table = document.getElementById('csvPreviewTable');
+    table.innerHTML = '';
+    const header = document.createElement('tr');
+    ['Line', 'Date & time', 'Source', 'Quantity', 'mg', 'Status'].forEach(title => {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    state.results.slice(0, CSV_PREVIEW_ROWS).forEach(result => {
+        const row = document.createElement('tr');
+        const log = result.log;
+        const values = [
+            result.line,
+            log ? `${log.date} ${formatLocalTime(new Date(log.timestamp))}` : '',
+            log ? log.source : '',
+            log && isIntakeLog(log) ? `${log.amount} ${log.unitType}` : '',
+            log && isIntakeLog(log) ? log.estimatedMg.toFixed(1) : '',
+            log ? 'OK' : 'Error'
+        ];
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.classList.toggle('csv-row-error', !log);
+        table.appendChild(row);
+    });
+
+    const errorList = document.getElementById('csvErrorList');
+    errorList.innerHTML = '';
+    invalid.forEach(result => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${result.line}: ${result.errors.join('; ')}`;
+        errorList.appendChild(item);
+    });
+    document.getElementById('csvErrors').style.display = invalid.length > 0 ? 'block' : 'none';
+
+    const confirmBtn = document.getElementById('confirmCsvImportBtn');
+    confirmBtn.disabled = validCount === 0;
+    confirmBtn.textContent = invalid.length > 0
+        ? `Import ${validCount} Valid ${validCount === 1 ? 'Row' : 'Rows'}`
+        : `Import ${validCount} ${validCount === 1 ? 'Row' : 'Rows'}`;
+}
+
+/**
+ * Save the valid rows of the previewed import
+ * @returns {Promise<void>}
+ */
+async function confirmCsvImport() {
+    if (!csvImportState) return;
+    const logs = csvImportState.results.filter(result => result.log).map(result => result.log);
+    const skipped = csvImportState.results.length - logs.length;
+    if (logs.length === 0) return;
+    // Focus, anxiety and clarity given on an intake row become a check-in linked to it
+    const records = logs.flatMap(log => hasEmbeddedCheckIn(log) ? splitEmbeddedCheckIn(log) : [log]);
+
+    try {
+        await saveImportSnapshot();
+        await putLogs(records);
+    } catch (error) {
+        showToast(error.message || 'Failed to import CSV', 'error');
+        return;
+    }
+
+    closeCsvImport();
+    closeModal('settingsModal');
+    refreshAfterLogChange();
+    const skippedNote = skipped > 0 ? ` (${skipped} skipped)` : '';
+    showToast(`Imported ${logs.length} ${logs.length === 1 ? 'entry' : 'entries'} from CSV${skippedNote}`);
+}
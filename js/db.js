@@ -0,0 +1,106 @@
+/**
+ * IndexedDB access for NicoTracker
+ * Opens the database and wraps IndexedDB requests in promises
+ *
+ * Logs live in the "logs" store (keyed by id, indexed by date, timestamp and
+ * source). The "meta" store holds single records such as the migration backup.
+ */
+
+const DB_NAME = 'nicotracker';
+const DB_VERSION = 1;
+
+const DB_STORES = {
+    LOGS: 'logs',
+    META: 'meta'
+};
+
+// Shared connection, opened on first use
+let dbPromise = null;
+
+/**
+ * Open (and on first run create) the database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(DB_STORES.LOGS)) {
+                const logs = db.createObjectStore(DB_STORES.LOGS, { keyPath: 'id' });
+                logs.createIndex('date', 'date');
+                logs.createIndex('timestamp', 'timestamp');
+                logs.createIndex('source', 'source');
+            }
+            if (!db.objectStoreNames.contains(DB_STORES.META)) {
+                db.createObjectStore(DB_STORES.META);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer tab upgrade the schema instead of blocking it
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+
+    // Allow a later call to retry after a failed open
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Resolve with the result of an IndexedDB request
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run work inside a transaction and resolve once it has committed
+ * @param {string|Array<string>} storeNames - Store(s) the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction; its return value (or promise) is resolved
+ * @returns {Promise<*>} Result of work
+ */
+async function withTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        Promise.resolve(work(transaction))
+            .then(value => {
+                result = value;
+            })
+            .catch(error => {
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Already finished; report the original error
+                }
+                reject(error);
+            });
+    });
+}
@@ -0,0 +1,448 @@
+/**
+ * History view for NicoTracker
+ * Lists past logs grouped by day and handles editing, deleting and backdating entries
+ */
+
+// Log currently open in the editor (null when adding a new entry)
+let editingLog = null;
+
+const SOURCE_ICONS = {
+    Vape: '💨',
+    Cigarettes: '🚬',
+    Snus: '📦',
+    Craving: '🌊',
+    None: '🧠'
+};
+
+/**
+ * Set up event listeners for the history view and log editor
+ */
+function setupHistoryEventListeners() {
+    document.getElementById('addPastEntryBtn').addEventListener('click', () => {
+        openLogEditor(null);
+    });
+
+    document.getElementById('closeLogEditor').addEventListener('click', () => {
+        closeModal('logEditorModal');
+    });
+
+    document.getElementById('editSource').addEventListener('change', () => {
+        updateEditorSourceFields();
+    });
+
+    document.getElementById('editReason').addEventListener('change', (e) => {
+        document.getElementById('editOtherReason').style.display = e.target.value === OTHER_REASON ? 'block' : 'none';
+    });
+
+    document.getElementById('saveLogBtn').addEventListener('click', () => {
+        saveLogFromEditor();
+    });
+
+    document.getElementById('deleteLogBtn').addEventListener('click', () => {
+        deleteLogFromEditor();
+    });
+
+    // Open editor when an entry in the list is clicked
+    document.getElementById('historyList').addEventListener('click', (e) => {
+        const entry = e.target.closest('.history-entry');
+        if (!entry) return;
+        // Cravings have their own form
+        if (entry.dataset.source === 'Craving') {
+            openCravingModal(entry.dataset.logId);
+        } else {
+            openLogEditor(entry.dataset.logId);
+        }
+    });
+}
+
+/**
+ * Render the history list grouped by day (newest first)
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+    const container = document.getElementById('historyList');
+    if (!container) return;
+
+    // The timestamp index returns logs oldest first
+    const logs = (await getLogsByIndex('timestamp')).reverse();
+
+    container.innerHTML = '';
+
+    if (logs.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'No entries yet. Logged intakes and check-ins will appear here.';
+        container.appendChild(empty);
+        return;
+    }
+
+    // Group logs by their date key, preserving newest-first order
+    const groups = new Map();
+    logs.forEach(log => {
+        if (!groups.has(log.date)) {
+            groups.set(log.date, []);
+        }
+        groups.get(log.date).push(log);
+    });
+
+    // Check-ins describe themselves relative to their intake
+    const intakesById = new Map(logs.filter(isIntakeLog).map(log => [log.id, log]));
+    const products = loadProducts();
+
+    groups.forEach((dayLogs, date) => {
+        const totalMg = dayLogs.reduce((sum, log) => sum + (log.estimatedMg || 0), 0);
+        const intakeCount = dayLogs.filter(isIntakeLog).length;
+        const cravings = dayLogs.filter(isCravingLog);
+
+        const dayCard = document.createElement('div');
+        dayCard.className = 'history-day';
+
+        const header = document.createElement('div');
+        header.className = 'history-day-header';
+        const title = document.createElement('span');
+        title.className = 'history-day-title';
+        title.textContent = formatHistoryDate(date);
+        const summary = document.createElement('span');
+        summary.className = 'history-day-summary';
+        summary.textContent = `${intakeCount} ${intakeCount === 1 ? 'intake' : 'intakes'} · ${totalMg.toFixed(1)} mg`;
+        const spend = summarizeSpend(dayLogs, products);
+        if (spend.priced > 0) {
+            summary.textContent += ` · ${formatMoney(spend.total)}`;
+        }
+        if (cravings.length > 0) {
+            summary.textContent += ` · ${cravings.filter(log => log.resisted).length}/${cravings.length} cravings beaten`;
+        }
+        header.appendChild(title);
+        header.appendChild(summary);
+        dayCard.appendChild(header);
+
+        dayLogs.forEach(log => {
+            dayCard.appendChild(createHistoryEntry(log, intakesById));
+        });
+
+        container.appendChild(dayCard);
+    });
+}
+
+/**
+ * Build the list row for a single log
+ * @param {Object} log - Log object
+ * @param {Map} intakesById - Intake logs by ID, for check-ins linked to one
+ * @returns {HTMLElement} Entry element
+ */
+function createHistoryEntry(log, intakesById) {
+    const entry = document.createElement('button');
+    entry.className = 'history-entry';
+    entry.dataset.logId = log.id;
+    entry.dataset.source = log.source;
+
+    const time = document.createElement('span');
+    time.className = 'history-entry-time';
+    time.textContent = formatLocalTime(new Date(log.timestamp));
+
+    const icon = document.createElement('span');
+    icon.className = 'history-entry-icon';
+    icon.textContent = SOURCE_ICONS[log.source] || '•';
+
+    const details = document.createElement('span');
+    details.className = 'history-entry-details';
+    if (log.source === 'None') {
+        details.textContent = describeCheckIn(log, intakesById);
+    } else if (isCravingLog(log)) {
+        details.textContent = describeCraving(log);
+    } else {
+        details.textContent = `${log.source} · ${log.amount} ${log.unitType || ''}`.trim();
+        if (log.strength) {
+            details.textContent += ` · ${log.strength} ${log.strengthUnit || getStrengthUnit(log.source)}`;
+        }
+        if (log.reason) {
+            details.textContent += ` · ${describeReason(log.reason)}`;
+        }
+    }
+
+    const mg = document.createElement('span');
+    mg.className = 'history-entry-mg';
+    mg.textContent = isIntakeLog(log) ? `${(log.estimatedMg || 0).toFixed(1)} mg` : '';
+
+    entry.appendChild(time);
+    entry.appendChild(icon);
+    entry.appendChild(details);
+    entry.appendChild(mg);
+    return entry;
+}
+
+/**
+ * Format a YYYY-MM-DD date key as a readable heading
+ * @param {string} date - Date string in YYYY-MM-DD format
+ * @returns {string} Formatted date
+ */
+function formatHistoryDate(date) {
+    // Parse as a calendar date so the heading never shifts across timezones
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+/**
+ * Format a Date as a value for a datetime-local input
+ * @param {Date} date - Date object
+ * @returns {string} Value in YYYY-MM-DDTHH:mm format (local time)
+ */
+function toDateTimeLocalValue(date) {
+    return toLocalWallClock(date).toISOString().slice(0, 16);
+}
+
+/**
+ * Parse a datetime-local input value as the user's local time
+ * @param {string} value - Value in YYYY-MM-DDTHH:mm format
+ * @returns {Date} Parsed date (invalid Date if the value is malformed)
+ */
+function fromDateTimeLocalValue(value) {
+    const offset = loadSettings().timezoneOffsetMinutes;
+    if (typeof offset !== 'number') {
+        // Device timezone: let the browser resolve DST for that date
+        return new Date(value);
+    }
+    return new Date(new Date(`${value}:00Z`).getTime() + offset * 60000);
+}
+
+/**
+ * Open the log editor for an existing log, or empty for a new backdated entry
+ * @param {string|null} logId - ID of log to edit, or null to add a new entry
+ * @returns {Promise<void>}
+ */
+async function openLogEditor(logId) {
+    const log = logId ? await getLogById(logId) : null;
+    if (logId && !log) {
+        showToast('Entry not found', 'error');
+        return;
+    }
+    editingLog = log;
+
+    document.getElementById('logEditorTitle').textContent = log ? 'Edit Entry' : 'Add Past Entry';
+    document.getElementById('deleteLogBtn').style.display = log ? 'inline-flex' : 'none';
+
+    const timestamp = log ? new Date(log.timestamp) : new Date();
+    document.getElementById('editTimestamp').value = toDateTimeLocalValue(timestamp);
+    document.getElementById('editTimestamp').max = toDateTimeLocalValue(new Date());
+    document.getElementById('editSource').value = log ? log.source : 'Vape';
+    document.getElementById('editAmount').value = log && log.amount ? log.amount : '';
+    document.getElementById('editStrength').value = log && log.strength ? log.strength : '';
+    const productCost = log && isIntakeLog(log) ? getProductCost(log.productId, log.unitType, log.amount) : null;
+    document.getElementById('editCost').value = log && typeof log.cost === 'number' ? log.cost : '';
+    document.getElementById('editCost').placeholder = productCost !== null
+        ? `From product price: ${formatMoney(productCost)}`
+        : 'Unknown';
+
+    renderEditorChoices(log);
+
+    document.getElementById('editFocus').value = log && log.focusLevel != null ? log.focusLevel : '';
+    document.getElementById('editAnxiety').value = log && log.anxietyLevel != null ? log.anxietyLevel : '';
+    document.getElementById('editClearThinking').value = log && log.clearThinking != null ? String(log.clearThinking) : '';
+    document.getElementById('editNotes').value = log && log.notes ? log.notes : '';
+
+    await populateEditorIntakeLink(log && isCheckInLog(log) ? log : null);
+
+    updateEditorSourceFields();
+    openModal('logEditorModal');
+}
+
+/**
+ * Show either the intake fields or the check-in fields for the selected source
+ */
+function updateEditorSourceFields() {
+    const source = document.getElementById('editSource').value;
+    const isIntake = source !== 'None';
+
+    document.getElementById('editIntakeFields').style.display = isIntake ? 'flex' : 'none';
+    document.getElementById('editCostGroup').style.display = isIntake ? 'flex' : 'none';
+    document.getElementById('editEffectsGroup').style.display = isIntake ? 'flex' : 'none';
+    document.getElementById('editReasonGroup').style.display = isIntake ? 'flex' : 'none';
+    document.getElementById('editCheckInFields').style.display = isIntake ? 'none' : 'block';
+
+    const units = getEditorUnits(source);
+    document.getElementById('editAmountLabel').textContent = getQuantityLabel(source, units.unitType);
+    document.getElementById('editStrengthLabel').textContent = `Strength (${getStrengthUnit(source)})`;
+}
+
+/**
+ * Units for the entry being edited: an existing log keeps its units while its source is unchanged
+ * @param {string} source - Source selected in the editor
+ * @returns {Object} { unitType, unitSize, sameSource }
+ */
+function getEditorUnits(source) {
+    const existing = editingLog;
+    if (existing && existing.source === source && existing.unitType) {
+        return { unitType: existing.unitType, unitSize: existing.unitSize || null, sameSource: true };
+    }
+    return { unitType: source === 'Vape' ? 'puffs' : 'pieces', unitSize: null, sameSource: false };
+}
+
+/**
+ * Read an optional 1-10 rating from a number input
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Rating or null when left blank
+ */
+function readOptionalRating(inputId) {
+    const value = parseInt(document.getElementById(inputId).value);
+    if (isNaN(value)) return null;
+    return Math.max(1, Math.min(10, value));
+}
+
+/**
+ * Validate the editor form and save the log (update or backdated add)
+ * @returns {Promise<void>}
+ */
+async function saveLogFromEditor() {
+    const timestampValue = document.getElementById('editTimestamp').value;
+    const when = fromDateTimeLocalValue(timestampValue);
+    if (!timestampValue || isNaN(when.getTime())) {
+        showToast('Please choose a valid date and time', 'error');
+        return;
+    }
+    if (when > new Date()) {
+        showToast('Entries cannot be in the future', 'error');
+        return;
+    }
+
+    const source = document.getElementById('editSource').value;
+    const isIntake = source !== 'None';
+    const existing = editingLog;
+
+    const logData = {
+        timestamp: when.toISOString(),
+        date: getLocalDateKey(when),
+        timeOfDay: getTimeOfDay(when),
+        source,
+        notes: document.getElementById('editNotes').value.trim() || null
+    };
+
+    if (isIntake) {
+        const amount = parseFloat(document.getElementById('editAmount').value);
+        if (!(amount > 0)) {
+            showToast('Please enter a quantity greater than 0', 'error');
+            return;
+        }
+
+        const reason = readReasonSelect('editReason', 'editOtherReason');
+        if (reason.missingOther) {
+            showToast('Please specify the reason', 'error');
+            return;
+        }
+
+        const costValue = document.getElementById('editCost').value;
+        let cost = costValue === '' ? null : parseFloat(costValue);
+        if (cost !== null && (isNaN(cost) || cost < 0)) {
+            showToast('Please enter a cost of 0 or more', 'error');
+            return;
+        }
+
+        const units = getEditorUnits(source);
+        const strength = parseFloat(document.getElementById('editStrength').value);
+        let estimatedMg;
+        if (!isNaN(strength) && strength > 0) {
+            estimatedMg = calculateEstimatedMg(source, amount, strength, units.unitType, units.unitSize);
+            logData.strength = strength;
+            logData.strengthUnit = getStrengthUnit(source);
+            logData.formulaVersion = ESTIMATE_FORMULA_VERSION;
+        } else if (existing && existing.source === source && existing.amount > 0) {
+            // Strength unknown: scale the previous estimate to the new quantity
+            estimatedMg = (existing.estimatedMg || 0) / existing.amount * amount;
+        } else {
+            showToast('Please enter the nicotine strength', 'error');
+            return;
+        }
+
+        logData.unitType = units.unitType;
+        logData.unitSize = units.unitSize;
+        // A product only describes the log while its source is unchanged
+        if (!units.sameSource) {
+            logData.productId = null;
+        }
+        // A saved cost left as it was follows the quantity, like the mg estimate
+        if (existing && units.sameSource && cost !== null && cost === existing.cost &&
+            existing.amount > 0 && amount !== existing.amount) {
+            cost = Math.round(cost / existing.amount * amount * 100) / 100;
+        }
+        logData.amount = amount;
+        logData.estimatedMg = estimatedMg;
+        logData.cost = cost;
+        logData.reason = reason.value;
+        logData.healthEffects = Array.from(document.querySelectorAll('input[name="editHealthEffects"]:checked'))
+            .map(checkbox => checkbox.value);
+        // Check-in values live on check-ins; an entry turned into an intake drops them
+        logData.focusLevel = null;
+        logData.anxietyLevel = null;
+        logData.clearThinking = null;
+        if (existing && existing.intakeId) {
+            logData.intakeId = null;
+        }
+    } else {
+        logData.unitType = 'other';
+        logData.productId = null;
+        logData.amount = 0;
+        logData.estimatedMg = 0;
+        logData.cost = null;
+        logData.reason = 'Cognitive check-in only';
+        logData.healthEffects = [];
+        logData.focusLevel = readOptionalRating('editFocus');
+        logData.anxietyLevel = readOptionalRating('editAnxiety');
+        logData.clearThinking = document.getElementById('editClearThinking').value === ''
+            ? null
+            : document.getElementById('editClearThinking').value === 'true';
+        logData.intakeId = document.getElementById('editIntakeLink').value || null;
+    }
+
+    try {
+        const saved = existing ? await updateLog(existing.id, logData) : await addLog(logData);
+        if (isCheckInLog(saved)) {
+            settleCheckInReminders(saved);
+        }
+        showToast(existing ? 'Entry updated' : 'Past entry added');
+    } catch (error) {
+        showToast(error.message || 'Failed to save entry', 'error');
+        return;
+    }
+
+    closeModal('logEditorModal');
+    refreshAfterLogChange();
+}
+
+/**
+ * Delete the log currently open in the editor after confirmation
+ * @returns {Promise<void>}
+ */
+async function deleteLogFromEditor() {
+    if (!editingLog) return;
+    const checkIns = isIntakeLog(editingLog) ? await getCheckInsForIntake(editingLog.id) : [];
+    const unlinked = checkIns.length === 0 ? '' : checkIns.length === 1
+        ? ' Its check-in stays in your history without a link.'
+        : ` Its ${checkIns.length} check-ins stay in your history without a link.`;
+    if (!confirm(`Delete this entry? This cannot be undone.${unlinked}`)) return;
+
+    try {
+        await deleteLog(editingLog.id);
+    } catch (error) {
+        showToast(error.message || 'Failed to delete entry', 'error');
+        return;
+    }
+
+    cancelCheckInReminders(editingLog.id);
+    editingLog = null;
+    closeModal('logEditorModal');
+    refreshAfterLogChange();
+    showToast('Entry deleted');
+}
+
+/**
+ * Re-render every view that depends on the stored logs
+ */
+function refreshAfterLogChange() {
+    updateDashboard();
+    updateAllCharts();
+    renderHistory();
+}
@@ -0,0 +1,323 @@
+/**
+ * JSON import for NicoTracker
+ * Previews an exported file as a dry run, lets the user resolve conflicts,
+ * choose between merging and replacing, and undo the last import
+ */
+
+// Plan (see planImport) and file name of the import being previewed
+let importState = null;
+
+// Settings that are objects, with how to describe their values in the preview
+const IMPORT_SETTING_FORMATS = {
+    taperPlan: plan => describeTaperPlan(plan),
+    quitMode: quitMode => describeQuitMode(quitMode)
+};
+
+/**
+ * Set up event listeners for the import modal and undo button
+ */
+function setupImportEventListeners() {
+    document.getElementById('importDataBtn').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so choosing the same file again still triggers a change
+        e.target.value = '';
+        if (file) {
+            openImportPreview(file);
+        }
+    });
+
+    document.getElementById('closeImport').addEventListener('click', () => {
+        closeImportPreview();
+    });
+
+    document.getElementById('cancelImportBtn').addEventListener('click', () => {
+        closeImportPreview();
+    });
+
+    document.getElementById('importMode').addEventListener('change', () => {
+        renderImportPreview();
+    });
+
+    document.getElementById('keepAllMineBtn').addEventListener('click', () => {
+        setAllConflictChoices('mine');
+    });
+
+    document.getElementById('takeAllTheirsBtn').addEventListener('click', () => {
+        setAllConflictChoices('theirs');
+    });
+
+    document.getElementById('confirmImportBtn').addEventListener('click', () => {
+        confirmImport();
+    });
+
+    document.getElementById('undoImportBtn').addEventListener('click', () => {
+        undoImportFromUI();
+    });
+}
+
+/**
+ * Read a JSON export and show the dry-run preview
+ * Encrypted backups ask for their passphrase first.
+ * @param {File} file - JSON file
+ * @returns {Promise<void>}
+ */
+async function openImportPreview(file) {
+    try {
+        const importedData = await readImportFile(file, error => requestPassphrase({
+            title: 'Encrypted Backup',
+            hint: `${file.name} is encrypted. Enter the passphrase it was exported with.`,
+            error
+        }));
+        if (!importedData) return;
+        importState = {
+            fileName: file.name,
+            plan: await planImport(importedData)
+        };
+    } catch (error) {
+        showToast(error.message || 'Failed to import data', 'error');
+        return;
+    }
+
+    document.getElementById('importMode').value = 'merge';
+    document.getElementById('importApplySettings').checked = false;
+    // Drop conflict choices left over from a previous file
+    document.getElementById('importConflictList').innerHTML = '';
+    renderImportPreview();
+    openModal('importModal');
+}
+
+/**
+ * Close the import modal and forget the previewed file
+ */
+function closeImportPreview() {
+    importState = null;
+    closeModal('importModal');
+}
+
+/**
+ * One-line description of a log for the preview lists
+ * @param {Object} log - Log object
+ * @returns {string} Description
+ */
+function describeImportLog(log) {
+    const when = `${formatHistoryDate(log.date)}, ${formatLocalTime(new Date(log.timestamp))}`;
+    if (isCravingLog(log)) {
+        return `${when} · ${describeCraving(log)}`;
+    }
+    if (!isIntakeLog(log)) {
+        return `${when} · Check-in`;
+    }
+    return `${when} · ${log.source} ${log.amount} ${log.unitType || ''} · ${(log.estimatedMg || 0).toFixed(1)} mg`;
+}
+
+/**
+ * Short display form of a field value in a conflict
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatImportValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+    return String(value);
+}
+
+/**
+ * Render the dry-run summary, conflicts, invalid records and settings changes
+ */
+function renderImportPreview() {
+    const plan = importState.plan;
+    const replace = document.getElementById('importMode').value === 'replace';
+    const incoming = plan.added.length + plan.changed.length + plan.unchanged.length;
+    const exported = plan.exportDate ? ` (exported ${formatHistoryDate(plan.exportDate.slice(0, 10))})` : '';
+
+    let summary = `${importState.fileName}${exported}: ${plan.added.length} new, ` +
+        `${plan.changed.length} changed, ${plan.unchanged.length} unchanged, ${plan.invalid.length} invalid.`;
+    if (replace) {
+        const removed = plan.existingCount - plan.changed.length - plan.unchanged.length;
+        summary += ` Replacing keeps only the ${incoming} valid ${incoming === 1 ? 'entry' : 'entries'} from the file` +
+            (removed > 0 ? ` and removes ${removed} of yours that are not in it.` : '.');
+    }
+    document.getElementById('importSummary').textContent = summary;
+
+    renderImportConflicts(replace);
+    renderImportInvalid();
+    renderImportSettings();
+
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.textContent = replace ? 'Replace All Data' : 'Import';
+    confirmBtn.classList.toggle('btn-danger', replace);
+}
+
+/**
+ * List entries that exist on both sides with different contents
+ * Choices made earlier are kept when the list is re-rendered.
+ * @param {boolean} replace - Whether replace mode is selected (file always wins)
+ */
+function renderImportConflicts(replace) {
+    const conflicts = importState.plan.changed;
+    const section = document.getElementById('importConflictsSection');
+    const list = document.getElementById('importConflictList');
+    section.style.display = conflicts.length > 0 && !replace ? 'block' : 'none';
+
+    const previous = getConflictChoices();
+    list.innerHTML = '';
+    conflicts.forEach(({ mine, theirs, fields }) => {
+        const item = document.createElement('div');
+        item.className = 'import-conflict';
+
+        const title = document.createElement('div');
+        title.className = 'product-item-name';
+        title.textContent = describeImportLog(mine);
+
+        const details = document.createElement('ul');
+        details.className = 'import-conflict-fields';
+        fields.forEach(field => {
+            const line = document.createElement('li');
+            line.textContent = `${field}: ${formatImportValue(mine[field])} → ${formatImportValue(theirs[field])}`;
+            details.appendChild(line);
+        });
+
+        const select = document.createElement('select');
+        select.className = 'input';
+        select.dataset.conflictId = theirs.id;
+        [['mine', 'Keep mine'], ['theirs', 'Take theirs']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = previous.get(theirs.id) || 'mine';
+
+        item.appendChild(title);
+        item.appendChild(details);
+        item.appendChild(select);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Read the per-conflict choices from the preview
+ * @returns {Map<string, string>} Log ID -> 'mine' or 'theirs'
+ */
+function getConflictChoices() {
+    const choices = new Map();
+    document.querySelectorAll('#importConflictList [data-conflict-id]').forEach(select => {
+        choices.set(select.dataset.conflictId, select.value);
+    });
+    return choices;
+}
+
+/**
+ * Resolve every conflict the same way
+ * @param {string} choice - 'mine' or 'theirs'
+ */
+function setAllConflictChoices(choice) {
+    document.querySelectorAll('#importConflictList [data-conflict-id]').forEach(select => {
+        select.value = choice;
+    });
+}
+
+/**
+ * List records that failed validation and will be skipped
+ */
+function renderImportInvalid() {
+    const invalid = importState.plan.invalid;
+    const list = document.getElementById('importInvalidList');
+    document.getElementById('importInvalidSection').style.display = invalid.length > 0 ? 'block' : 'none';
+
+    list.innerHTML = '';
+    invalid.forEach(record => {
+        const item = document.createElement('li');
+        const label = record.id ? `Entry ${record.index} (${record.id})` : `Entry ${record.index}`;
+        item.textContent = `${label}: ${record.errors.join('; ')}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * List settings the file would change; they are only applied when ticked
+ */
+function renderImportSettings() {
+    const changes = importState.plan.settingsChanges;
+    const list = document.getElementById('importSettingsList');
+    document.getElementById('importSettingsSection').style.display = changes.length > 0 ? 'block' : 'none';
+
+    list.innerHTML = '';
+    changes.forEach(change => {
+        const item = document.createElement('li');
+        const format = IMPORT_SETTING_FORMATS[change.key] || formatImportValue;
+        item.textContent = `${change.key}: ${format(change.mine)} → ${format(change.theirs)}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Apply the previewed import with the chosen mode and conflict resolutions
+ * @returns {Promise<void>}
+ */
+async function confirmImport() {
+    if (!importState) return;
+    const replace = document.getElementById('importMode').value === 'replace';
+    if (replace && !confirm('Replace all your entries, products and quick-log buttons with the contents of this file? You can undo this from Settings.')) {
+        return;
+    }
+
+    const takeTheirs = new Set();
+    getConflictChoices().forEach((choice, logId) => {
+        if (choice === 'theirs') takeTheirs.add(logId);
+    });
+
+    let result;
+    try {
+        result = await applyImport(importState.plan, {
+            replace,
+            takeTheirs,
+            applySettings: document.getElementById('importApplySettings').checked
+        });
+    } catch (error) {
+        showToast(error.message || 'Failed to import data', 'error');
+        return;
+    }
+
+    closeImportPreview();
+    closeModal('settingsModal');
+    refreshAfterLogChange();
+    showToast(replace
+        ? `Replaced your data with ${result.written} ${result.written === 1 ? 'entry' : 'entries'}`
+        : `Imported ${result.written} ${result.written === 1 ? 'entry' : 'entries'}`);
+}
+
+/**
+ * Show the undo button while a snapshot of the last import exists
+ * @returns {Promise<void>}
+ */
+async function updateUndoImportButton() {
+    const snapshot = await loadImportSnapshot();
+    const button = document.getElementById('undoImportBtn');
+    button.style.display = snapshot ? 'inline-flex' : 'none';
+    if (snapshot) {
+        const when = new Date(snapshot.createdAt);
+        button.textContent = `Undo Import (${formatHistoryDate(toLocalWallClock(when).toISOString().slice(0, 10))}, ${formatLocalTime(when)})`;
+    }
+}
+
+/**
+ * Restore the data from before the last import after confirmation
+ * @returns {Promise<void>}
+ */
+async function undoImportFromUI() {
+    if (!confirm('Undo the last import? Changes made since then will be lost too.')) return;
+
+    try {
+        const undone = await undoLastImport();
+        showToast(undone ? 'Last import undone' : 'Nothing to undo', undone ? 'success' : 'error');
+    } catch (error) {
+        showToast(error.message || 'Failed to undo import', 'error');
+        return;
+    }
+
+    loadSettingsIntoUI();
+    updateUndoImportButton();
+    refreshAfterLogChange();
+}
@@ -0,0 +1,747 @@
+/**
+ * App lock for NicoTracker
+ * An optional PIN or passphrase is asked for on start and after inactivity.
+ * While the lock is on, log records, settings and products are stored
+ * encrypted with a key derived from the PIN (see crypto.js). The key only
+ * exists in memory after unlocking; locking reloads the page to drop it.
+ *
+ * Sealed log records are stored under random keys rather than their IDs, which
+ * start with the time the entry was made; the ID only exists inside the
+ * ciphertext. Unlocking decrypts the records once and keeps the logs in
+ * memory with their keys, so queries do not decrypt the whole store again.
+ */
+
+// Shortest PIN accepted when setting or changing it
+const MIN_PIN_LENGTH = 6;
+
+// Auto-lock choices in minutes (0 = never)
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 0];
+
+// localStorage entries that hold personal data and are encrypted under the lock
+const PROTECTED_ITEMS = [STORAGE_KEYS.SETTINGS, STORAGE_KEYS.PRODUCTS, STORAGE_KEYS.PRESETS, STORAGE_KEYS.CHOICES];
+
+// Key derived from the PIN; null while locked or when the lock is off
+let vaultKey = null;
+
+// Decrypted PROTECTED_ITEMS while unlocked, so settings and products stay synchronous
+const unlockedItems = new Map();
+
+// Prefix of the random keys sealed log records are stored under
+const SEALED_RECORD_PREFIX = 'sealed-';
+
+// Store keys of the sealed log records by log ID, learned on unlock
+const sealedRecordKeys = new Map();
+
+// Decrypted logs by ID while unlocked, kept in step with every log write
+const unlockedLogs = new Map();
+
+// Chain of pending encrypted writes, kept in order
+let protectedWrites = Promise.resolve();
+
+// Time of the last interaction, for auto-lock
+let lastActivityAt = Date.now();
+
+/**
+ * Load the lock configuration (salt, work factor and PIN verifier)
+ * @returns {Object|null} Configuration, or null when the lock is off
+ */
+function loadLockConfig() {
+    try {
+        const configJson = localStorage.getItem(STORAGE_KEYS.LOCK);
+        return configJson ? JSON.parse(configJson) : null;
+    } catch (error) {
+        console.error('Error loading lock configuration:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether the app lock (and encryption at rest) is on
+ * @returns {boolean} True when a PIN is set
+ */
+function isLockEnabled() {
+    return localStorage.getItem(STORAGE_KEYS.LOCK) !== null;
+}
+
+/**
+ * Derive a new key and lock configuration from a PIN
+ * @param {string} pin - New PIN
+ * @returns {Promise<Object>} { key, config }
+ */
+async function createLockKey(pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const { key, verifier } = await deriveKeyMaterial(pin, salt, PBKDF2_ITERATIONS);
+    const config = {
+        version: 1,
+        iterations: PBKDF2_ITERATIONS,
+        salt: bytesToBase64(salt),
+        verifier: bytesToBase64(verifier)
+    };
+    return { key, config };
+}
+
+/**
+ * Derive the key for the stored lock configuration
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<CryptoKey|null>} Key, or null for a wrong PIN
+ */
+async function deriveLockKey(pin) {
+    const config = loadLockConfig();
+    if (!config) return null;
+    const { key, verifier } = await deriveKeyMaterial(pin, base64ToBytes(config.salt), config.iterations);
+    return verifiersMatch(verifier, base64ToBytes(config.verifier)) ? key : null;
+}
+
+/**
+ * Create a random key to store a sealed log record under
+ * @returns {string} Record key
+ */
+function createSealedRecordKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return SEALED_RECORD_PREFIX + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a stored record is sealed under a random key (not under its log ID)
+ * @param {Object} record - Stored record
+ * @returns {boolean} True for sealed records with an opaque key
+ */
+function hasSealedRecordKey(record) {
+    return Boolean(record.sealed) && String(record.id).startsWith(SEALED_RECORD_PREFIX);
+}
+
+/**
+ * Encrypt a log for storage; nothing about it stays readable
+ * Records that are already sealed pass through unchanged.
+ * @param {Object} log - Log object
+ * @param {CryptoKey|null} key - Key to seal with (no key stores the log as is)
+ * @param {string} [recordKey] - Key to store the record under (a new random one if omitted)
+ * @returns {Promise<Object>} Stored record
+ */
+async function sealRecord(log, key = vaultKey, recordKey = createSealedRecordKey()) {
+    if (!key || log.sealed) return log;
+    return { id: recordKey, sealed: await sealJson(log, key) };
+}
+
+/**
+ * Encrypt a log for the log store, keeping the key its record already has
+ * @param {Object} log - Log object (or a record that is already sealed)
+ * @returns {Promise<Object>} Stored record
+ */
+async function sealStoredLog(log) {
+    if (!vaultKey || log.sealed) return log;
+    const recordKey = sealedRecordKeys.get(log.id) || createSealedRecordKey();
+    sealedRecordKeys.set(log.id, recordKey);
+    return sealRecord(log, vaultKey, recordKey);
+}
+
+/**
+ * Key the record of a log is stored under
+ * @param {string} logId - Log ID
+ * @returns {string|undefined} Record key (undefined when no such log is stored)
+ */
+function getStoredRecordKey(logId) {
+    if (!isLockEnabled()) return logId;
+    if (!vaultKey) throw new Error('NicoTracker is locked');
+    return sealedRecordKeys.get(logId);
+}
+
+/**
+ * Decrypted copies of every stored log
+ * @returns {Array} Log objects (callers may change them freely)
+ */
+function getUnlockedLogs() {
+    if (!vaultKey) throw new Error('NicoTracker is locked');
+    return Array.from(unlockedLogs.values(), log => structuredClone(log));
+}
+
+/**
+ * Decrypted copy of one stored log
+ * @param {string} logId - Log ID
+ * @returns {Object|null} Log object or null
+ */
+function getUnlockedLog(logId) {
+    if (!vaultKey) throw new Error('NicoTracker is locked');
+    return unlockedLogs.has(logId) ? structuredClone(unlockedLogs.get(logId)) : null;
+}
+
+/**
+ * Keep written logs in the decrypted copy
+ * @param {Array} logs - Log objects that were just stored
+ */
+function rememberUnlockedLogs(logs) {
+    if (!vaultKey) return;
+    logs.forEach(log => unlockedLogs.set(log.id, structuredClone(log)));
+}
+
+/**
+ * Drop the record key and decrypted copy of a deleted log
+ * @param {string} logId - Log ID
+ */
+function forgetStoredRecordKey(logId) {
+    sealedRecordKeys.delete(logId);
+    unlockedLogs.delete(logId);
+}
+
+/**
+ * Drop every record key and decrypted log, e.g. before all logs are replaced
+ */
+function forgetStoredRecordKeys() {
+    sealedRecordKeys.clear();
+    unlockedLogs.clear();
+}
+
+/**
+ * Decrypt the sealed log records once, e.g. after unlocking, and keep the
+ * logs and the keys of their records
+ * Records sealed under their log ID by earlier versions are moved to a random
+ * key on the way.
+ * @returns {Promise<void>}
+ */
+async function indexSealedRecords() {
+    const records = await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+        promisifyRequest(transaction.objectStore(DB_STORES.LOGS).getAll())
+    );
+    forgetStoredRecordKeys();
+    const moved = [];
+    for (const record of records) {
+        if (!record.sealed) continue;
+        const log = await openRecord(record);
+        unlockedLogs.set(log.id, log);
+        if (hasSealedRecordKey(record)) {
+            sealedRecordKeys.set(log.id, record.id);
+        } else {
+            moved.push({ oldKey: record.id, record: await sealStoredLog(log) });
+        }
+    }
+    if (moved.length === 0) return;
+    await withTransaction(DB_STORES.LOGS, 'readwrite', transaction => {
+        const store = transaction.objectStore(DB_STORES.LOGS);
+        moved.forEach(({ oldKey, record }) => {
+            store.delete(oldKey);
+            store.put(record);
+        });
+    });
+}
+
+/**
+ * Re-seal snapshots whose log records still carry their log IDs
+ * @returns {Promise<void>}
+ */
+async function rekeyLegacySnapshots() {
+    for (const name of ['backup', 'lastImport']) {
+        const snapshot = await withTransaction(DB_STORES.META, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.META).get(name))
+        );
+        if (!snapshot || !Array.isArray(snapshot.logs) ||
+            !snapshot.logs.some(record => record.sealed && !hasSealedRecordKey(record))) continue;
+        const rekeyed = await rekeySnapshot(snapshot, vaultKey, vaultKey);
+        await withTransaction(DB_STORES.META, 'readwrite', transaction => {
+            transaction.objectStore(DB_STORES.META).put(rekeyed, name);
+        });
+    }
+}
+
+/**
+ * Decrypt a stored log record
+ * @param {Object} record - Stored record
+ * @param {CryptoKey|null} key - Key it was sealed with
+ * @returns {Promise<Object>} Log object
+ */
+async function openRecord(record, key = vaultKey) {
+    if (!record.sealed) return record;
+    if (!key) throw new Error('NicoTracker is locked');
+    return openSealedJson(record.sealed, key);
+}
+
+/**
+ * Encrypt a localStorage value
+ * @param {string|null} value - Plain value
+ * @param {CryptoKey|null} key - Key to seal with (no key keeps the value as is)
+ * @returns {Promise<string|null>} Stored value
+ */
+async function sealItem(value, key = vaultKey) {
+    if (!key || value === null || value === undefined) return value;
+    return JSON.stringify({ sealed: await sealJson(value, key) });
+}
+
+/**
+ * Decrypt a localStorage value written by sealItem
+ * @param {string|null} stored - Stored value
+ * @param {CryptoKey|null} key - Key it was sealed with
+ * @returns {Promise<string|null>} Plain value
+ */
+async function openItem(stored, key = vaultKey) {
+    if (stored === null || stored === undefined) return stored;
+    let parsed;
+    try {
+        parsed = JSON.parse(stored);
+    } catch (error) {
+        return stored;
+    }
+    if (!parsed || !parsed.sealed) return stored;
+    if (!key) throw new Error('NicoTracker is locked');
+    return openSealedJson(parsed.sealed, key);
+}
+
+/**
+ * Read a protected localStorage entry
+ * @param {string} itemKey - One of PROTECTED_ITEMS
+ * @returns {string|null} Plain value
+ */
+function readProtectedItem(itemKey) {
+    if (!isLockEnabled()) return localStorage.getItem(itemKey);
+    if (!vaultKey) throw new Error('NicoTracker is locked');
+    return unlockedItems.has(itemKey) ? unlockedItems.get(itemKey) : null;
+}
+
+/**
+ * Write a protected localStorage entry, encrypting it when the lock is on
+ * The in-memory copy updates at once; the encrypted write follows in order.
+ * @param {string} itemKey - One of PROTECTED_ITEMS
+ * @param {string|null} value - Plain value (null removes the entry)
+ */
+function writeProtectedItem(itemKey, value) {
+    if (value === undefined) value = null;
+    if (!isLockEnabled()) {
+        if (value === null) {
+            localStorage.removeItem(itemKey);
+        } else {
+            localStorage.setItem(itemKey, value);
+        }
+        return;
+    }
+    if (!vaultKey) throw new Error('NicoTracker is locked');
+
+    unlockedItems.set(itemKey, value);
+    const key = vaultKey;
+    protectedWrites = protectedWrites
+        .then(async () => {
+            const sealed = await sealItem(value, key);
+            if (sealed === null) {
+                localStorage.removeItem(itemKey);
+            } else {
+                localStorage.setItem(itemKey, sealed);
+            }
+        })
+        .catch(error => {
+            console.error('Error saving encrypted data:', error);
+        });
+}
+
+/**
+ * Wait until every queued encrypted write has reached localStorage
+ * @returns {Promise<void>}
+ */
+function flushProtectedWrites() {
+    return protectedWrites;
+}
+
+/**
+ * Check a PIN and, if right, keep its key and decrypt the protected entries
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<boolean>} False for a wrong PIN
+ */
+async function unlockWithPin(pin) {
+    const key = await deriveLockKey(pin);
+    if (!key) return false;
+
+    unlockedItems.clear();
+    for (const itemKey of PROTECTED_ITEMS) {
+        unlockedItems.set(itemKey, await openItem(localStorage.getItem(itemKey), key));
+    }
+    vaultKey = key;
+    await indexSealedRecords();
+    await rekeyLegacySnapshots();
+    return true;
+}
+
+/**
+ * Re-encrypt a stored snapshot (migration backup or import undo)
+ * @param {Object} snapshot - Snapshot with raw log records and localStorage values
+ * @param {CryptoKey|null} oldKey - Key it is sealed with now
+ * @param {CryptoKey|null} newKey - Key to seal it with
+ * @returns {Promise<Object>} Re-encrypted snapshot
+ */
+async function rekeySnapshot(snapshot, oldKey, newKey) {
+    const rekeyed = { ...snapshot };
+    if (Array.isArray(snapshot.logs)) {
+        rekeyed.logs = await Promise.all(snapshot.logs.map(async record =>
+            sealRecord(await openRecord(record, oldKey), newKey)
+        ));
+    }
+    for (const field of ['legacyLogs', 'settings', 'products', 'presets', 'choices']) {
+        if (field in snapshot) {
+            rekeyed[field] = await sealItem(await openItem(snapshot[field], oldKey), newKey);
+        }
+    }
+    return rekeyed;
+}
+
+/**
+ * Re-encrypt everything stored under a new key, or decrypt it for no key
+ * Logs and snapshots are rewritten in one transaction, which also stages the
+ * new localStorage entries and lock configuration. Those are copied over once
+ * it has committed; if the page dies first, finishLockSwitch copies them on
+ * the next start, so the configuration always matches the stored logs.
+ * @param {CryptoKey|null} newKey - New key (null turns encryption off)
+ * @param {Object|null} newConfig - Lock configuration belonging to newKey
+ * @returns {Promise<void>}
+ */
+async function rekeyStoredData(newKey, newConfig) {
+    await flushProtectedWrites();
+    const oldKey = vaultKey;
+
+    const records = await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+        promisifyRequest(transaction.objectStore(DB_STORES.LOGS).getAll())
+    );
+    const logs = await Promise.all(records.map(record => openRecord(record, oldKey)));
+    const resealed = await Promise.all(logs.map(log => sealRecord(log, newKey)));
+
+    const snapshots = {};
+    for (const name of ['backup', 'lastImport']) {
+        const snapshot = await withTransaction(DB_STORES.META, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.META).get(name))
+        );
+        if (snapshot) {
+            snapshots[name] = await rekeySnapshot(snapshot, oldKey, newKey);
+        }
+    }
+
+    const plainItems = PROTECTED_ITEMS.map(itemKey => [itemKey, readProtectedItem(itemKey)]);
+    const sealedItems = [];
+    for (const [itemKey, value] of plainItems) {
+        sealedItems.push([itemKey, await sealItem(value, newKey)]);
+    }
+
+    const lockSwitch = { items: sealedItems, config: newConfig };
+    await withTransaction([DB_STORES.LOGS, DB_STORES.META], 'readwrite', transaction => {
+        const logStore = transaction.objectStore(DB_STORES.LOGS);
+        logStore.clear();
+        resealed.forEach(record => logStore.put(record));
+        Object.entries(snapshots).forEach(([name, snapshot]) => {
+            transaction.objectStore(DB_STORES.META).put(snapshot, name);
+        });
+        transaction.objectStore(DB_STORES.META).put(lockSwitch, 'lockSwitch');
+    });
+    await applyLockSwitch(lockSwitch);
+
+    vaultKey = newKey;
+    forgetStoredRecordKeys();
+    if (newKey) {
+        logs.forEach((log, i) => {
+            sealedRecordKeys.set(log.id, resealed[i].id);
+            unlockedLogs.set(log.id, log);
+        });
+    }
+    unlockedItems.clear();
+    if (newKey) {
+        plainItems.forEach(([itemKey, value]) => unlockedItems.set(itemKey, value));
+    }
+}
+
+/**
+ * Copy a staged lock switch to localStorage, then drop it
+ * @param {Object} lockSwitch - { items, config } staged by rekeyStoredData
+ * @returns {Promise<void>}
+ */
+async function applyLockSwitch(lockSwitch) {
+    lockSwitch.items.forEach(([itemKey, value]) => {
+        if (value === null) {
+            localStorage.removeItem(itemKey);
+        } else {
+            localStorage.setItem(itemKey, value);
+        }
+    });
+    if (lockSwitch.config) {
+        localStorage.setItem(STORAGE_KEYS.LOCK, JSON.stringify(lockSwitch.config));
+    } else {
+        localStorage.removeItem(STORAGE_KEYS.LOCK);
+    }
+    await withTransaction(DB_STORES.META, 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.META).delete('lockSwitch');
+    });
+}
+
+/**
+ * Finish a PIN change (or turning the lock on or off) that was cut short
+ * Runs on start, before the lock configuration is read.
+ * @returns {Promise<void>}
+ */
+async function finishLockSwitch() {
+    try {
+        const lockSwitch = await withTransaction(DB_STORES.META, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.META).get('lockSwitch'))
+        );
+        if (lockSwitch) {
+            await applyLockSwitch(lockSwitch);
+        }
+    } catch (error) {
+        console.error('Error finishing lock change:', error);
+    }
+}
+
+/**
+ * Delete every log, snapshot and setting (for a forgotten PIN)
+ * @returns {Promise<void>}
+ */
+async function eraseAllData() {
+    await withTransaction([DB_STORES.LOGS, DB_STORES.META], 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.LOGS).clear();
+        transaction.objectStore(DB_STORES.META).clear();
+    });
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * Lock the app: finish pending writes, then reload to the lock screen
+ * @returns {Promise<void>}
+ */
+async function lockApp() {
+    await flushProtectedWrites();
+    vaultKey = null;
+    unlockedItems.clear();
+    window.location.reload();
+}
+
+/**
+ * Show the lock screen and resolve once the right PIN has been entered
+ * @returns {Promise<void>}
+ */
+function waitForUnlock() {
+    const screen = document.getElementById('lockScreen');
+    const input = document.getElementById('lockPinInput');
+    const errorEl = document.getElementById('lockError');
+    const unlockBtn = document.getElementById('unlockBtn');
+    screen.classList.add('active');
+    input.focus();
+
+    return new Promise(resolve => {
+        const attemptUnlock = async () => {
+            if (!input.value) return;
+            unlockBtn.disabled = true;
+            errorEl.style.display = 'none';
+            let unlocked = false;
+            try {
+                unlocked = await unlockWithPin(input.value);
+            } catch (error) {
+                console.error('Error unlocking:', error);
+            }
+            unlockBtn.disabled = false;
+            input.value = '';
+
+            if (!unlocked) {
+                errorEl.textContent = 'Wrong PIN';
+                errorEl.style.display = 'block';
+                input.focus();
+                return;
+            }
+            screen.classList.remove('active');
+            resolve();
+        };
+
+        unlockBtn.addEventListener('click', attemptUnlock);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                attemptUnlock();
+            }
+        });
+        document.getElementById('forgotPinBtn').addEventListener('click', () => {
+            resetForgottenPin();
+        });
+    });
+}
+
+/**
+ * Erase all data after two confirmations, as the only way past a forgotten PIN
+ * @returns {Promise<void>}
+ */
+async function resetForgottenPin() {
+    if (!confirm('Without the PIN your data cannot be decrypted. Erase all NicoTracker data and start over?')) return;
+    if (!confirm('This permanently deletes every entry, product and setting. Continue?')) return;
+
+    try {
+        await eraseAllData();
+    } catch (error) {
+        console.error('Error erasing data:', error);
+        alert('Could not erase data');
+        return;
+    }
+    window.location.reload();
+}
+
+/**
+ * Note user activity for the auto-lock timer
+ */
+function recordActivity() {
+    lastActivityAt = Date.now();
+}
+
+/**
+ * Lock if the configured inactivity period has passed
+ */
+function checkAutoLock() {
+    if (!vaultKey) return;
+    const minutes = loadSettings().autoLockMinutes;
+    if (minutes > 0 && Date.now() - lastActivityAt >= minutes * 60000) {
+        lockApp();
+    }
+}
+
+/**
+ * Start watching for inactivity
+ * Also checks when the tab becomes visible again, since timers are throttled
+ * in the background.
+ */
+function startAutoLock() {
+    ['pointerdown', 'keydown', 'touchstart', 'scroll'].forEach(eventName => {
+        document.addEventListener(eventName, recordActivity, { passive: true, capture: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            checkAutoLock();
+        }
+    });
+    setInterval(checkAutoLock, 15000);
+}
+
+/**
+ * Set up event listeners for the lock section in settings
+ */
+function setupLockEventListeners() {
+    document.getElementById('enableLockBtn').addEventListener('click', () => {
+        enableLockFromUI();
+    });
+
+    document.getElementById('lockNowBtn').addEventListener('click', () => {
+        lockApp();
+    });
+
+    document.getElementById('changePinBtn').addEventListener('click', () => {
+        changePinFromUI();
+    });
+
+    document.getElementById('disableLockBtn').addEventListener('click', () => {
+        disableLockFromUI();
+    });
+
+    document.getElementById('autoLockMinutes').addEventListener('change', (e) => {
+        saveSettings({ ...loadSettings(), autoLockMinutes: parseInt(e.target.value) || 0 });
+        recordActivity();
+    });
+}
+
+/**
+ * Show the lock controls that match the current state
+ */
+function updateLockSettingsUI() {
+    const enabled = isLockEnabled();
+    document.getElementById('lockStatus').textContent = enabled
+        ? 'On: your data is encrypted with your PIN and the app locks when idle.'
+        : 'Off: anyone with access to this browser can read your data.';
+    document.getElementById('enableLockBtn').style.display = enabled ? 'none' : 'inline-flex';
+    ['lockNowBtn', 'changePinBtn', 'disableLockBtn'].forEach(id => {
+        document.getElementById(id).style.display = enabled ? 'inline-flex' : 'none';
+    });
+    document.getElementById('autoLockGroup').style.display = enabled ? 'block' : 'none';
+
+    const select = document.getElementById('autoLockMinutes');
+    if (select.options.length === 0) {
+        AUTO_LOCK_OPTIONS.forEach(minutes => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = minutes === 0 ? 'Never' : `After ${minutes} min`;
+            select.appendChild(option);
+        });
+    }
+    select.value = String(loadSettings().autoLockMinutes);
+}
+
+/**
+ * Ask for a new PIN twice
+ * @param {string} title - Modal title
+ * @returns {Promise<string|null>} New PIN, null if cancelled
+ */
+function requestNewPin(title) {
+    return requestPassphrase({
+        title,
+        hint: 'Choose a PIN or passphrase. Your data is encrypted with it and cannot be recovered if you forget it; a longer passphrase is much harder to guess.',
+        confirm: true,
+        minLength: MIN_PIN_LENGTH
+    });
+}
+
+/**
+ * Ask for the current PIN until it is right
+ * @param {string} title - Modal title
+ * @returns {Promise<boolean>} False if cancelled
+ */
+async function confirmCurrentPin(title) {
+    let error = '';
+    for (;;) {
+        const pin = await requestPassphrase({ title, hint: 'Enter your current PIN.', error });
+        if (pin === null) return false;
+        if (await deriveLockKey(pin)) return true;
+        error = 'Wrong PIN';
+    }
+}
+
+/**
+ * Turn the lock on and encrypt existing data
+ * @returns {Promise<void>}
+ */
+async function enableLockFromUI() {
+    const pin = await requestNewPin('Set PIN');
+    if (pin === null) return;
+
+    try {
+        const { key, config } = await createLockKey(pin);
+        await rekeyStoredData(key, config);
+    } catch (error) {
+        console.error('Error enabling lock:', error);
+        showToast('Could not encrypt your data', 'error');
+        return;
+    }
+    recordActivity();
+    updateLockSettingsUI();
+    showToast('App lock on; your data is encrypted');
+}
+
+/**
+ * Replace the PIN and re-encrypt existing data with it
+ * @returns {Promise<void>}
+ */
+async function changePinFromUI() {
+    if (!(await confirmCurrentPin('Change PIN'))) return;
+    const pin = await requestNewPin('New PIN');
+    if (pin === null) return;
+
+    try {
+        const { key, config } = await createLockKey(pin);
+        await rekeyStoredData(key, config);
+    } catch (error) {
+        console.error('Error changing PIN:', error);
+        showToast('Could not re-encrypt your data', 'error');
+        return;
+    }
+    showToast('PIN changed');
+}
+
+/**
+ * Turn the lock off and store data unencrypted again
+ * @returns {Promise<void>}
+ */
+async function disableLockFromUI() {
+    if (!(await confirmCurrentPin('Turn Off App Lock'))) return;
+
+    try {
+        await rekeyStoredData(null, null);
+    } catch (error) {
+        console.error('Error disabling lock:', error);
+        showToast('Could not decrypt your data', 'error');
+        return;
+    }
+    updateLockSettingsUI();
+    showToast('App lock off');
+}
@@ -0,0 +1,783 @@
+/**
+ * Schema migrations for NicoTracker
+ * Upgrades stored logs and settings to the current schema version at startup
+ *
+ * Each migration upgrades storage from version - 1 to version. Migrations run
+ * in order, and a snapshot of the raw stored data is kept before any of them
+ * runs so a failed upgrade can be rolled back.
+ *
+ * Up to schema 4 logs lived in localStorage under STORAGE_KEYS.LOGS, so those
+ * migrations read and write that key directly; schema 5 moved them to IndexedDB.
+ */
+
+// Current version of the stored data layout
+const SCHEMA_VERSION = 7;
+
+// Flags written by migrations before schema versions existed, newest first
+const LEGACY_MIGRATION_FLAGS = [
+    { key: 'nicotracker_strength_backfilled', version: 3 },
+    { key: 'nicotracker_local_dates_migrated', version: 2 }
+];
+
+const LOG_SOURCES = ['Vape', 'Cigarettes', 'Snus', 'Craving', 'None'];
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Remove sample entries shipped by early builds',
+        migrate: removeSampleLogs
+    },
+    {
+        version: 2,
+        description: 'File logs under their local calendar day',
+        migrate: migrateLogDatesToLocal
+    },
+    {
+        version: 3,
+        description: 'Backfill strength, strength unit and formula version',
+        migrate: backfillLogStrength
+    },
+    {
+        version: 4,
+        description: 'Validate and normalise stored logs and settings',
+        migrate: normalizeStoredData
+    },
+    {
+        version: 5,
+        description: 'Move logs from localStorage to IndexedDB',
+        migrate: moveLogsToIndexedDB
+    },
+    {
+        version: 6,
+        description: 'Refer to health effects and reasons by ID',
+        migrate: linkStoredChoices
+    },
+    {
+        version: 7,
+        description: 'Store check-ins as their own records linked to an intake',
+        migrate: splitStoredCheckIns
+    }
+];
+
+/**
+ * Read the stored schema version
+ * Stores without a version are inferred from the legacy migration flags.
+ * @returns {number} Schema version (0 for unversioned data)
+ */
+function getSchemaVersion() {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10);
+    if (!isNaN(stored)) return stored;
+
+    const legacy = LEGACY_MIGRATION_FLAGS.find(flag => localStorage.getItem(flag.key));
+    return legacy ? legacy.version : 0;
+}
+
+/**
+ * Record the schema version and drop the legacy flags it supersedes
+ * @param {number} version - Schema version
+ */
+function setSchemaVersion(version) {
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(version));
+    LEGACY_MIGRATION_FLAGS.forEach(flag => localStorage.removeItem(flag.key));
+}
+
+/**
+ * Whether anything has been stored yet
+ * @returns {Promise<boolean>} True when logs, settings or products exist
+ */
+async function hasStoredData() {
+    const inLocalStorage = [STORAGE_KEYS.LOGS, STORAGE_KEYS.SETTINGS, STORAGE_KEYS.PRODUCTS, STORAGE_KEYS.PRESETS, STORAGE_KEYS.CHOICES]
+        .some(key => localStorage.getItem(key) !== null);
+    if (inLocalStorage) return true;
+
+    const logCount = await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+        promisifyRequest(transaction.objectStore(DB_STORES.LOGS).count())
+    );
+    return logCount > 0;
+}
+
+/**
+ * Snapshot the stored data before migrating
+ * Settings, products, presets, effects, reasons and pre-IndexedDB logs are kept as raw strings so records
+ * the migrations would reject survive in the backup.
+ * @param {number} fromVersion - Schema version of the data being saved
+ * @returns {Promise<void>}
+ */
+async function createBackup(fromVersion) {
+    const backup = {
+        schemaVersion: fromVersion,
+        createdAt: new Date().toISOString(),
+        legacyLogs: localStorage.getItem(STORAGE_KEYS.LOGS),
+        logs: await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.LOGS).getAll())
+        ),
+        settings: localStorage.getItem(STORAGE_KEYS.SETTINGS),
+        products: localStorage.getItem(STORAGE_KEYS.PRODUCTS),
+        presets: localStorage.getItem(STORAGE_KEYS.PRESETS),
+        choices: localStorage.getItem(STORAGE_KEYS.CHOICES)
+    };
+    await withTransaction(DB_STORES.META, 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.META).put(backup, 'backup');
+    });
+}
+
+/**
+ * Load the snapshot taken before the last migration
+ * @returns {Promise<Object|null>} Backup object or null
+ */
+async function loadBackup() {
+    try {
+        const backup = await withTransaction(DB_STORES.META, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.META).get('backup'))
+        );
+        return backup || null;
+    } catch (error) {
+        console.error('Error loading backup:', error);
+        return null;
+    }
+}
+
+/**
+ * Put the stored data back exactly as it was when the backup was taken
+ * @param {Object} backup - Backup object from loadBackup
+ * @returns {Promise<void>}
+ */
+async function restoreBackup(backup) {
+    if (backup.legacyLogs === null || backup.legacyLogs === undefined) {
+        localStorage.removeItem(STORAGE_KEYS.LOGS);
+    } else {
+        localStorage.setItem(STORAGE_KEYS.LOGS, await openItem(backup.legacyLogs));
+    }
+    // Settings, products, presets and choices go back through the lock so they stay encrypted
+    writeProtectedItem(STORAGE_KEYS.SETTINGS, await openItem(backup.settings));
+    writeProtectedItem(STORAGE_KEYS.PRODUCTS, await openItem(backup.products));
+    writeProtectedItem(STORAGE_KEYS.PRESETS, await openItem(backup.presets));
+    if ('choices' in backup) {
+        writeProtectedItem(STORAGE_KEYS.CHOICES, await openItem(backup.choices));
+    }
+    await flushProtectedWrites();
+    await saveLogs(backup.logs || []);
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(backup.schemaVersion));
+}
+
+/**
+ * Bring stored data up to SCHEMA_VERSION
+ * Takes a backup first; if a migration fails the backup is restored and the
+ * app keeps running on the old data.
+ * @returns {Promise<Object>} { from, to, applied } versions and number of migrations run
+ */
+async function runMigrations() {
+    const from = getSchemaVersion();
+
+    if (from >= SCHEMA_VERSION) {
+        return { from, to: from, applied: 0 };
+    }
+    if (!(await hasStoredData())) {
+        // Fresh install: nothing to upgrade
+        setSchemaVersion(SCHEMA_VERSION);
+        return { from, to: SCHEMA_VERSION, applied: 0 };
+    }
+
+    try {
+        await createBackup(from);
+    } catch (error) {
+        // Never migrate without a way back
+        console.error('Could not back up data, migrations postponed:', error);
+        return { from, to: from, applied: 0 };
+    }
+
+    let applied = 0;
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= from) continue;
+        try {
+            await migration.migrate();
+            applied++;
+        } catch (error) {
+            console.error(`Migration ${migration.version} failed (${migration.description}):`, error);
+            await restoreBackup(await loadBackup());
+            return { from, to: from, applied: 0 };
+        }
+    }
+
+    setSchemaVersion(SCHEMA_VERSION);
+    return { from, to: SCHEMA_VERSION, applied };
+}
+
+/**
+ * Read logs from their pre-IndexedDB location (schema 4 and older)
+ * @returns {Array} Array of log objects
+ */
+function loadLegacyLogs() {
+    const logsJson = localStorage.getItem(STORAGE_KEYS.LOGS);
+    return logsJson ? JSON.parse(logsJson) : [];
+}
+
+/**
+ * Write logs to their pre-IndexedDB location (schema 4 and older)
+ * @param {Array} logs - Array of log objects
+ */
+function saveLegacyLogs(logs) {
+    localStorage.setItem(STORAGE_KEYS.LOGS, JSON.stringify(logs));
+}
+
+/**
+ * Read a JSON localStorage entry through the lock without applying defaults
+ * @param {string} itemKey - One of STORAGE_KEYS
+ * @returns {*} Parsed value, or null when the entry is missing
+ */
+function readMigrationItem(itemKey) {
+    const json = readProtectedItem(itemKey);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Write a JSON localStorage entry through the lock
+ * @param {string} itemKey - One of STORAGE_KEYS
+ * @param {*} value - Value to store
+ */
+function writeMigrationItem(itemKey, value) {
+    writeProtectedItem(itemKey, JSON.stringify(value));
+}
+
+/*
+ * The rules below are copies of the app's helpers as they were when each
+ * schema version shipped. Steps must keep upgrading data the way they did
+ * then, so they never call the live helpers, which later features change.
+ */
+
+// Sources that recorded intake up to schema 7 (cravings are not intake)
+const MIGRATION_INTAKE_SOURCES = ['Vape', 'Cigarettes', 'Snus'];
+
+// Sources a log could have at schema 4
+const SCHEMA_4_LOG_SOURCES = ['Vape', 'Cigarettes', 'Snus', 'None'];
+
+// Settings and their defaults at schema 4
+const SCHEMA_4_DEFAULT_SETTINGS = {
+    dailyMgLimit: 40,
+    dailyEventLimit: 5,
+    morningLimitEnabled: false,
+    morningStartHour: 5,
+    morningEndHour: 12,
+    morningMgLimit: 5,
+    nicotineHalfLifeMinutes: 120,
+    cotinineHalfLifeHours: 16,
+    vapePuffsPerMl: 200,
+    vapeAbsorbedFraction: 1,
+    cigaretteAbsorbedFraction: 1,
+    snusRetention: 1,
+    snusMinutesInMouth: 60,
+    timezoneOffsetMinutes: null,
+    dayStartHour: 0
+};
+
+// Built-in effects and reasons whose names schema 6 linked to IDs
+const SCHEMA_6_CHOICES = {
+    healthEffects: [
+        { id: 'effect-reduced-stress', name: 'Reduced stress' },
+        { id: 'effect-dizziness', name: 'Dizziness' },
+        { id: 'effect-better-focus', name: 'Better focus' },
+        { id: 'effect-nausea', name: 'Nausea' },
+        { id: 'effect-alertness', name: 'Alertness' },
+        { id: 'effect-headache', name: 'Headache' },
+        { id: 'effect-none', name: 'No noticeable effect' }
+    ],
+    reasons: [
+        { id: 'reason-habit', name: 'Just woke up / habit' },
+        { id: 'reason-stress', name: 'Stress' },
+        { id: 'reason-focus', name: 'Studying / focus' },
+        { id: 'reason-social', name: 'Partying / social' },
+        { id: 'reason-boredom', name: 'Boredom' }
+    ]
+};
+
+/**
+ * Whether a stored log records intake, by the rules of schemas 1 to 7
+ * @param {Object} log - Log object
+ * @returns {boolean} True for intake events
+ */
+function isMigrationIntake(log) {
+    return MIGRATION_INTAKE_SOURCES.includes(log.source);
+}
+
+/**
+ * Tracking day and time of day of an instant, as derived from schema 2 on
+ * @param {Date} when - Date object
+ * @param {Object} settings - Stored settings (timezoneOffsetMinutes, dayStartHour)
+ * @returns {Object} { date, timeOfDay }
+ */
+function getMigrationDayFields(when, settings) {
+    const offset = typeof settings.timezoneOffsetMinutes === 'number'
+        ? settings.timezoneOffsetMinutes
+        : when.getTimezoneOffset();
+    const local = new Date(when.getTime() - offset * 60000);
+    const dayStart = new Date(local.getTime() - (settings.dayStartHour || 0) * 3600000);
+    const hour = local.getUTCHours();
+    let timeOfDay = 'night';
+    if (hour >= 5 && hour < 12) timeOfDay = 'morning';
+    else if (hour >= 12 && hour < 17) timeOfDay = 'afternoon';
+    else if (hour >= 17 && hour < 22) timeOfDay = 'evening';
+    return { date: dayStart.toISOString().split('T')[0], timeOfDay };
+}
+
+/**
+ * Migration 1: early builds seeded logs with IDs prefixed "sample-"
+ * Only those entries are dropped; real logs are kept.
+ */
+function removeSampleLogs() {
+    const logs = loadLegacyLogs();
+    const realLogs = logs.filter(log => !(log && log.id && String(log.id).startsWith('sample-')));
+    if (realLogs.length !== logs.length) {
+        saveLegacyLogs(realLogs);
+    }
+}
+
+/**
+ * Migration 2: earlier versions keyed logs by their UTC date.
+ * Re-derives every log's date in the local calendar and stops pinning the
+ * timezone offset that used to be written automatically on each settings save.
+ */
+function migrateLogDatesToLocal() {
+    const settings = readMigrationItem(STORAGE_KEYS.SETTINGS) || {};
+    if (localStorage.getItem(STORAGE_KEYS.SETTINGS)) {
+        settings.timezoneOffsetMinutes = null;
+        writeMigrationItem(STORAGE_KEYS.SETTINGS, settings);
+    }
+
+    const logs = loadLegacyLogs();
+    let changed = 0;
+    logs.forEach(log => {
+        const when = new Date(log.timestamp);
+        if (isNaN(when.getTime())) return;
+        const { date, timeOfDay } = getMigrationDayFields(when, settings);
+        if (log.date !== date || log.timeOfDay !== timeOfDay) {
+            log.date = date;
+            log.timeOfDay = timeOfDay;
+            changed++;
+        }
+    });
+    if (changed > 0) {
+        saveLegacyLogs(logs);
+    }
+}
+
+/**
+ * Migration 3: older logs only stored amount and estimatedMg.
+ * Derives strength by inverting the original formula (version 1) where the
+ * units allow it and records the strength unit and formula version.
+ */
+function backfillLogStrength() {
+    const logs = loadLegacyLogs();
+    let changed = 0;
+    logs.forEach(log => {
+        if (!isMigrationIntake(log)) return;
+        if (!log.formulaVersion) {
+            // Entries written before formula versions existed used the original estimate
+            log.formulaVersion = 1;
+            changed++;
+        }
+        if (!log.strengthUnit) {
+            log.strengthUnit = log.source === 'Vape' ? 'mg/ml' : 'mg/piece';
+            changed++;
+        }
+        const unitType = log.unitType || (log.source === 'Vape' ? 'puffs' : 'pieces');
+        if (!log.strength && log.amount > 0 && log.estimatedMg > 0 && unitType !== 'ml' && unitType !== 'pods') {
+            const perUnit = log.estimatedMg / log.amount;
+            // Round away floating point noise from the division
+            log.strength = Math.round((log.source === 'Vape' ? perUnit * 200 : perUnit) * 100) / 100;
+            changed++;
+        }
+    });
+
+    if (changed > 0) {
+        saveLegacyLogs(logs);
+    }
+}
+
+/**
+ * Migration 4: coerce stored settings and logs into their expected shape
+ * Logs that cannot be repaired are dropped (they remain in the backup).
+ */
+function normalizeStoredData() {
+    const settings = normalizeSchema4Settings({
+        ...SCHEMA_4_DEFAULT_SETTINGS,
+        ...readMigrationItem(STORAGE_KEYS.SETTINGS)
+    });
+    writeMigrationItem(STORAGE_KEYS.SETTINGS, settings);
+
+    const logs = loadLegacyLogs();
+    // Unusable logs are dropped here; they remain in the pre-migration backup
+    saveLegacyLogs(logs.map(log => normalizeSchema4Log(log, settings)).filter(Boolean));
+}
+
+/**
+ * Coerce settings to their schema 4 types, falling back to defaults for invalid values
+ * @param {Object} settings - Settings object
+ * @returns {Object} Normalised settings
+ */
+function normalizeSchema4Settings(settings) {
+    const normalized = { ...settings };
+    Object.keys(SCHEMA_4_DEFAULT_SETTINGS).forEach(key => {
+        const fallback = SCHEMA_4_DEFAULT_SETTINGS[key];
+        const value = settings[key];
+        if (typeof fallback === 'number') {
+            const number = Number(value);
+            normalized[key] = value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+        } else if (typeof fallback === 'boolean') {
+            normalized[key] = value === true || value === 'true';
+        } else if (key === 'timezoneOffsetMinutes') {
+            const offset = Number(value);
+            normalized[key] = value === null || value === '' || !Number.isFinite(offset) ? null : offset;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Validate a log record and coerce its fields into their schema 4 types
+ * @param {Object} log - Raw log record
+ * @param {Object} settings - Normalised settings used to derive dates
+ * @returns {Object|null} Normalised log, or null when the record is unusable
+ */
+function normalizeSchema4Log(log, settings) {
+    if (!log || typeof log !== 'object' || !SCHEMA_4_LOG_SOURCES.includes(log.source)) {
+        return null;
+    }
+
+    let when = new Date(log.timestamp);
+    if (isNaN(when.getTime())) {
+        // Fall back to midday of the stored date so the entry stays on its day
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(log.date || '')) return null;
+        const [year, month, day] = log.date.split('-').map(Number);
+        when = new Date(year, month - 1, day, 12);
+        if (isNaN(when.getTime())) return null;
+    }
+
+    const normalized = {
+        ...log,
+        id: log.id ? String(log.id) : generateId(),
+        timestamp: when.toISOString(),
+        ...getMigrationDayFields(when, settings),
+        healthEffects: Array.isArray(log.healthEffects) ? log.healthEffects.map(String) : [],
+        focusLevel: toRatingOrNull(log.focusLevel),
+        anxietyLevel: toRatingOrNull(log.anxietyLevel),
+        clearThinking: typeof log.clearThinking === 'boolean' ? log.clearThinking : null,
+        notes: typeof log.notes === 'string' && log.notes.trim() ? log.notes : null
+    };
+
+    if (isMigrationIntake(normalized)) {
+        const amount = toNumberOrNull(log.amount);
+        const estimatedMg = toNumberOrNull(log.estimatedMg);
+        const strength = toNumberOrNull(log.strength);
+        normalized.amount = amount !== null && amount > 0 ? amount : 0;
+        normalized.estimatedMg = estimatedMg !== null && estimatedMg > 0 ? estimatedMg : 0;
+        normalized.strength = strength !== null && strength > 0 ? strength : null;
+        normalized.unitType = log.unitType || (log.source === 'Vape' ? 'puffs' : 'pieces');
+        normalized.unitSize = toNumberOrNull(log.unitSize);
+        normalized.strengthUnit = log.strengthUnit || (log.source === 'Vape' ? 'mg/ml' : 'mg/piece');
+        normalized.reason = typeof log.reason === 'string' && log.reason ? log.reason : null;
+    }
+
+    return normalized;
+}
+
+/**
+ * Migration 5: copy logs into IndexedDB, then free the localStorage key
+ * Records already in IndexedDB with the same ID are overwritten by the copy.
+ * @returns {Promise<void>}
+ */
+async function moveLogsToIndexedDB() {
+    const logs = loadLegacyLogs();
+    await putLogs(logs);
+    localStorage.removeItem(STORAGE_KEYS.LOGS);
+}
+
+/**
+ * Migration 6: logs and presets stored effect and reason names.
+ * Links them to the IDs of the built-in items, which the editable lists start
+ * from; reasons typed under "Other" stay as free text.
+ * @returns {Promise<void>}
+ */
+async function linkStoredChoices() {
+    const records = await loadStoredRecords();
+    const logs = await Promise.all(records.map(record => openRecord(record)));
+    await putLogs(logs.filter(isMigrationIntake).map(linkSchema6ChoiceIds));
+    const presets = readMigrationItem(STORAGE_KEYS.PRESETS) || [];
+    if (presets.length > 0) {
+        writeMigrationItem(STORAGE_KEYS.PRESETS, presets.map(linkSchema6ChoiceIds));
+    }
+}
+
+/**
+ * Link the effects and reason of a log or preset to built-in item IDs
+ * Names are matched ignoring case; anything else stays as free text.
+ * @param {Object} entry - Log or preset
+ * @returns {Object} Copy of the entry with IDs where they could be found
+ */
+function linkSchema6ChoiceIds(entry) {
+    const resolve = (list, value) => {
+        if (typeof value !== 'string') return value;
+        const lower = value.trim().toLowerCase();
+        const match = SCHEMA_6_CHOICES[list].find(item => item.id === value || item.name.toLowerCase() === lower);
+        return match ? match.id : value;
+    };
+    const linked = { ...entry };
+    if (Array.isArray(entry.healthEffects)) {
+        linked.healthEffects = entry.healthEffects.map(effect => resolve('healthEffects', effect));
+    }
+    if (typeof entry.reason === 'string') {
+        linked.reason = resolve('reasons', entry.reason);
+    }
+    return linked;
+}
+
+/**
+ * Migration 7: check-ins used to overwrite the focus, anxiety, clarity and
+ * notes of the day's latest log. Moves those values to check-in records
+ * linked to the intake they were written on.
+ * @returns {Promise<void>}
+ */
+async function splitStoredCheckIns() {
+    const records = await loadStoredRecords();
+    const logs = await Promise.all(records.map(record => openRecord(record)));
+    const split = logs
+        .filter(log => isMigrationIntake(log) &&
+            [log.focusLevel, log.anxietyLevel, log.clearThinking].some(value => value !== null && value !== undefined))
+        .flatMap(splitSchema7CheckIn);
+    await putLogs(split);
+}
+
+/**
+ * Move check-in values embedded in an intake to a check-in linked to it
+ * @param {Object} log - Intake with embedded check-in values
+ * @returns {Array<Object>} [intake without the values, linked check-in]
+ */
+function splitSchema7CheckIn(log) {
+    const checkIn = {
+        id: `${log.id}-checkin`,
+        timestamp: log.timestamp,
+        date: log.date,
+        timeOfDay: log.timeOfDay,
+        source: 'None',
+        unitType: 'other',
+        amount: 0,
+        estimatedMg: 0,
+        reason: 'Cognitive check-in only',
+        healthEffects: [],
+        focusLevel: log.focusLevel === undefined ? null : log.focusLevel,
+        anxietyLevel: log.anxietyLevel === undefined ? null : log.anxietyLevel,
+        clearThinking: log.clearThinking === undefined ? null : log.clearThinking,
+        notes: log.notes || null,
+        intakeId: log.id
+    };
+    const intake = {
+        ...log,
+        focusLevel: null,
+        anxietyLevel: null,
+        clearThinking: null,
+        notes: null
+    };
+    return [intake, checkIn];
+}
+
+/**
+ * Coerce settings to their default types, falling back to defaults for invalid values
+ * @param {Object} settings - Settings object
+ * @returns {Object} Normalised settings
+ */
+function normalizeSettings(settings) {
+    const normalized = { ...settings };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const fallback = DEFAULT_SETTINGS[key];
+        const value = settings[key];
+        if (typeof fallback === 'number') {
+            const number = Number(value);
+            normalized[key] = value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+        } else if (typeof fallback === 'boolean') {
+            normalized[key] = value === true || value === 'true';
+        } else if (Array.isArray(fallback)) {
+            normalized[key] = Array.isArray(value) && value.every(item => Number.isFinite(item) && item > 0)
+                ? value
+                : fallback;
+        } else if (typeof fallback === 'string') {
+            normalized[key] = typeof value === 'string' ? value : fallback;
+        } else if (key === 'taperPlan') {
+            normalized[key] = normalizeTaperPlan(value);
+        } else if (key === 'quitMode') {
+            normalized[key] = normalizeQuitMode(value);
+        } else if (key === 'timezoneOffsetMinutes') {
+            const offset = Number(value);
+            normalized[key] = value === null || value === '' || !Number.isFinite(offset) ? null : offset;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Read a finite number or null
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null
+ */
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read a 1-10 rating or null
+ * @param {*} value - Raw value
+ * @returns {number|null} Rating or null
+ */
+function toRatingOrNull(value) {
+    const rating = toNumberOrNull(value);
+    return rating !== null && rating >= 1 && rating <= 10 ? Math.round(rating) : null;
+}
+
+// Units a log's amount can be recorded in
+const LOG_UNIT_TYPES = ['puffs', 'ml', 'pods', 'pieces', 'other'];
+
+/**
+ * Check every field of a log record against the log schema
+ * Unlike normalizeLog nothing is repaired; each problem is reported.
+ * @param {Object} log - Raw log record
+ * @returns {Array<string>} Validation errors (empty when the record is valid)
+ */
+function validateLog(log) {
+    if (!log || typeof log !== 'object' || Array.isArray(log)) {
+        return ['not an object'];
+    }
+
+    const errors = [];
+    const isBlank = value => value === null || value === undefined;
+    const checkNumber = (field, { min = 0, max = Infinity } = {}) => {
+        const value = log[field];
+        if (isBlank(value)) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            errors.push(max === Infinity ? `${field} must be a number of at least ${min}` : `${field} must be between ${min} and ${max}`);
+        }
+    };
+    const checkString = field => {
+        if (!isBlank(log[field]) && typeof log[field] !== 'string') {
+            errors.push(`${field} must be text`);
+        }
+    };
+
+    if (typeof log.id !== 'string' && typeof log.id !== 'number') {
+        errors.push('id is missing');
+    }
+    if (!LOG_SOURCES.includes(log.source)) {
+        errors.push(`source "${log.source}" is not one of ${LOG_SOURCES.join(', ')}`);
+    }
+    if (typeof log.timestamp !== 'string' || isNaN(new Date(log.timestamp).getTime())) {
+        errors.push('timestamp is not a valid date');
+    }
+    if (!isBlank(log.date) && !/^\d{4}-\d{2}-\d{2}$/.test(log.date)) {
+        errors.push('date must be YYYY-MM-DD');
+    }
+    if (!isBlank(log.unitType) && !LOG_UNIT_TYPES.includes(log.unitType)) {
+        errors.push(`unitType "${log.unitType}" is not one of ${LOG_UNIT_TYPES.join(', ')}`);
+    }
+    checkNumber('amount');
+    checkNumber('estimatedMg');
+    checkNumber('strength');
+    checkNumber('unitSize');
+    checkNumber('cost');
+    checkNumber('focusLevel', { min: 1, max: 10 });
+    checkNumber('anxietyLevel', { min: 1, max: 10 });
+    checkString('reason');
+    checkString('notes');
+    checkString('productId');
+    checkString('intakeId');
+    if (!isBlank(log.clearThinking) && typeof log.clearThinking !== 'boolean') {
+        errors.push('clearThinking must be true, false or empty');
+    }
+    if (!isBlank(log.healthEffects) &&
+        (!Array.isArray(log.healthEffects) || log.healthEffects.some(effect => typeof effect !== 'string'))) {
+        errors.push('healthEffects must be a list of text');
+    }
+    if (LOG_SOURCES.includes(log.source) && isIntakeLog(log) && !(log.amount > 0)) {
+        errors.push('amount must be greater than 0 for intake entries');
+    }
+    if (isCravingLog(log)) {
+        checkNumber('intensity', { min: 1, max: 10 });
+        checkNumber('durationMinutes');
+        checkString('trigger');
+        if (isBlank(log.intensity)) {
+            errors.push('intensity is required for cravings');
+        }
+        if (typeof log.resisted !== 'boolean') {
+            errors.push('resisted must be true or false for cravings');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a log record and coerce its fields into their expected types
+ * @param {Object} log - Raw log record
+ * @param {Object} [settings] - Settings object used to derive dates (loaded if omitted)
+ * @returns {Object|null} Normalised log, or null when the record is unusable
+ */
+function normalizeLog(log, settings = loadSettings()) {
+    if (!log || typeof log !== 'object' || !LOG_SOURCES.includes(log.source)) {
+        return null;
+    }
+
+    let when = new Date(log.timestamp);
+    if (isNaN(when.getTime())) {
+        // Fall back to midday of the stored date so the entry stays on its day
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(log.date || '')) return null;
+        const [year, month, day] = log.date.split('-').map(Number);
+        when = new Date(year, month - 1, day, 12);
+        if (isNaN(when.getTime())) return null;
+    }
+
+    const normalized = {
+        ...log,
+        id: log.id ? String(log.id) : generateId(),
+        timestamp: when.toISOString(),
+        date: getLocalDateKey(when, settings),
+        timeOfDay: getTimeOfDay(when, settings),
+        healthEffects: Array.isArray(log.healthEffects) ? log.healthEffects.map(String) : [],
+        focusLevel: toRatingOrNull(log.focusLevel),
+        anxietyLevel: toRatingOrNull(log.anxietyLevel),
+        clearThinking: typeof log.clearThinking === 'boolean' ? log.clearThinking : null,
+        notes: typeof log.notes === 'string' && log.notes.trim() ? log.notes : null
+    };
+
+    if (isIntakeLog(normalized)) {
+        const amount = toNumberOrNull(log.amount);
+        const estimatedMg = toNumberOrNull(log.estimatedMg);
+        const strength = toNumberOrNull(log.strength);
+        const cost = toNumberOrNull(log.cost);
+        normalized.amount = amount !== null && amount > 0 ? amount : 0;
+        normalized.estimatedMg = estimatedMg !== null && estimatedMg > 0 ? estimatedMg : 0;
+        normalized.strength = strength !== null && strength > 0 ? strength : null;
+        normalized.cost = cost !== null && cost >= 0 ? cost : null;
+        normalized.unitType = log.unitType || (log.source === 'Vape' ? 'puffs' : 'pieces');
+        normalized.unitSize = toNumberOrNull(log.unitSize);
+        normalized.strengthUnit = log.strengthUnit || getStrengthUnit(log.source);
+        normalized.reason = typeof log.reason === 'string' && log.reason ? log.reason : null;
+        // Files and CSVs may name effects and reasons instead of using their IDs
+        return linkChoiceIds(normalized);
+    }
+
+    if (isCheckInLog(normalized)) {
+        normalized.intakeId = log.intakeId ? String(log.intakeId) : null;
+    }
+
+    if (isCravingLog(normalized)) {
+        const duration = toNumberOrNull(log.durationMinutes);
+        normalized.unitType = 'other';
+        normalized.amount = 0;
+        normalized.estimatedMg = 0;
+        normalized.intensity = toRatingOrNull(log.intensity);
+        normalized.resisted = log.resisted === true;
+        normalized.durationMinutes = duration !== null && duration >= 0 ? duration : null;
+        normalized.trigger = typeof log.trigger === 'string' && log.trigger ? log.trigger : null;
+        return linkChoiceIds(normalized);
+    }
+
+    return normalized;
+}
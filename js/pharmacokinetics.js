@@ -0,0 +1,136 @@
+/**
+ * Pharmacokinetic estimates for NicoTracker
+ * Models how much nicotine (and its metabolite cotinine) is in the body over time
+ *
+ * Each log is treated as an oral/inhaled dose of estimatedMg with first-order
+ * absorption (speed depends on the source) and first-order elimination.
+ * This is a rough one-compartment model for awareness only, not medical advice.
+ */
+
+// Absorption half-life per source in minutes: smoke peaks within minutes, pouches absorb slowly
+const ABSORPTION_HALF_LIFE_MINUTES = {
+    Cigarettes: 1,
+    Vape: 3,
+    Snus: 15
+};
+
+// Share of eliminated nicotine that is metabolised to cotinine
+const COTININE_CONVERSION_FRACTION = 0.75;
+
+// Molar mass ratio cotinine / nicotine (176.2 / 162.2 g/mol)
+const COTININE_MASS_RATIO = 1.086;
+
+/**
+ * First-order rate constant (per minute) for a half-life
+ * @param {number} halfLifeMinutes - Half-life in minutes
+ * @returns {number} Rate constant
+ */
+function rateFromHalfLife(halfLifeMinutes) {
+    return Math.LN2 / halfLifeMinutes;
+}
+
+/**
+ * Get the model rate constants from settings
+ * @param {Object} settings - Settings object
+ * @returns {Object} { nicotine, cotinine } elimination rates per minute
+ */
+function getEliminationRates(settings) {
+    return {
+        nicotine: rateFromHalfLife(settings.nicotineHalfLifeMinutes),
+        cotinine: rateFromHalfLife(settings.cotinineHalfLifeHours * 60)
+    };
+}
+
+/**
+ * How far back doses can still contribute to the estimate
+ * Doses older than ten cotinine half-lives contribute nothing measurable.
+ * @param {Object} settings - Settings object
+ * @returns {number} Horizon in minutes
+ */
+function getBodyLevelHorizonMinutes(settings) {
+    return 10 * settings.cotinineHalfLifeHours * 60;
+}
+
+/**
+ * Nicotine remaining in the body from a single dose (Bateman function)
+ * @param {number} doseMg - Absorbed dose in mg
+ * @param {number} minutes - Minutes since the dose
+ * @param {number} ka - Absorption rate per minute
+ * @param {number} ke - Elimination rate per minute
+ * @returns {number} Nicotine in mg
+ */
+function nicotineFromDose(doseMg, minutes, ka, ke) {
+    if (minutes <= 0) return 0;
+    if (Math.abs(ka - ke) < 1e-9) {
+        return doseMg * ka * minutes * Math.exp(-ke * minutes);
+    }
+    return doseMg * ka / (ka - ke) * (Math.exp(-ke * minutes) - Math.exp(-ka * minutes));
+}
+
+/**
+ * Cotinine in the body from a single nicotine dose (absorption -> nicotine -> cotinine chain)
+ * @param {number} doseMg - Absorbed nicotine dose in mg
+ * @param {number} minutes - Minutes since the dose
+ * @param {number} ka - Absorption rate per minute
+ * @param {number} ke - Nicotine elimination rate per minute
+ * @param {number} kc - Cotinine elimination rate per minute
+ * @returns {number} Cotinine in mg
+ */
+function cotinineFromDose(doseMg, minutes, ka, ke, kc) {
+    if (minutes <= 0) return 0;
+    // Nudge coincident rates apart so the closed form stays finite
+    if (Math.abs(ka - ke) < 1e-9) ka *= 1.0001;
+    if (Math.abs(kc - ke) < 1e-9) kc *= 1.0001;
+    if (Math.abs(ka - kc) < 1e-9) kc *= 1.0002;
+
+    const formed = doseMg * COTININE_CONVERSION_FRACTION * COTININE_MASS_RATIO * ka * ke;
+    return formed * (
+        Math.exp(-ka * minutes) / ((ke - ka) * (kc - ka)) +
+        Math.exp(-ke * minutes) / ((ka - ke) * (kc - ke)) +
+        Math.exp(-kc * minutes) / ((ka - kc) * (ke - kc))
+    );
+}
+
+/**
+ * Estimate nicotine and cotinine in the body at a given instant
+ * @param {Array} logs - Array of log objects
+ * @param {Date} at - Instant to evaluate
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {Object} { nicotineMg, cotinineMg }
+ */
+function estimateBodyLevels(logs, at, settings = loadSettings()) {
+    const rates = getEliminationRates(settings);
+    const horizonMinutes = getBodyLevelHorizonMinutes(settings);
+    let nicotineMg = 0;
+    let cotinineMg = 0;
+
+    logs.forEach(log => {
+        if (!isIntakeLog(log) || !log.estimatedMg) return;
+        const minutes = (at - new Date(log.timestamp)) / 60000;
+        if (minutes <= 0 || minutes > horizonMinutes) return;
+
+        const ka = rateFromHalfLife(ABSORPTION_HALF_LIFE_MINUTES[log.source] || ABSORPTION_HALF_LIFE_MINUTES.Vape);
+        nicotineMg += nicotineFromDose(log.estimatedMg, minutes, ka, rates.nicotine);
+        cotinineMg += cotinineFromDose(log.estimatedMg, minutes, ka, rates.nicotine, rates.cotinine);
+    });
+
+    return { nicotineMg, cotinineMg };
+}
+
+/**
+ * Sample body levels over a time window
+ * @param {Array} logs - Array of log objects
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {number} stepMinutes - Minutes between samples
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {Array<Object>} Points { time, nicotineMg, cotinineMg }
+ */
+function computeBodyLevelCurve(logs, start, end, stepMinutes, settings = loadSettings()) {
+    const points = [];
+    for (let t = start.getTime(); t <= end.getTime(); t += stepMinutes * 60000) {
+        const time = new Date(t);
+        points.push({ time, ...estimateBodyLevels(logs, time, settings) });
+    }
+    return points;
+}
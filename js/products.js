@@ -0,0 +1,426 @@
+/**
+ * Product catalog UI for NicoTracker
+ * Manages saved products in settings and applies them to the intake wizard.
+ * A product can carry the price of a pack (packPrice for packSize units of its
+ * unitType), which prices the entries logged with it. An entry keeps that cost
+ * in its cost field, so later price changes do not rewrite past spending.
+ */
+
+// Product whose price is being edited in the list (null when none)
+let pricingProductId = null;
+
+/**
+ * Set up event listeners for the product catalog and wizard product picker
+ */
+function setupProductEventListeners() {
+    document.getElementById('productSource').addEventListener('change', () => {
+        updateProductFormFields();
+    });
+
+    document.getElementById('productUnitType').addEventListener('change', () => {
+        updateProductFormFields();
+    });
+
+    document.getElementById('productPackPrice').addEventListener('input', () => {
+        updateProductFormFields();
+    });
+
+    document.getElementById('addProductBtn').addEventListener('click', () => {
+        addProductFromUI();
+    });
+
+    document.getElementById('productList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-archive-product]');
+        if (button) {
+            archiveProduct(button.dataset.archiveProduct);
+            renderProductList();
+            showToast('Product removed');
+            return;
+        }
+
+        const priceButton = e.target.closest('[data-price-product]');
+        if (priceButton) {
+            const productId = priceButton.dataset.priceProduct;
+            pricingProductId = pricingProductId === productId ? null : productId;
+            renderProductList();
+            return;
+        }
+
+        const saveButton = e.target.closest('[data-save-price]');
+        if (saveButton) {
+            saveProductPriceFromUI(saveButton.dataset.savePrice);
+        }
+    });
+
+    document.getElementById('productSelect').addEventListener('change', (e) => {
+        applyProductToWizard(e.target.value || null);
+    });
+}
+
+/**
+ * Look up a product by ID (archived products included)
+ * @param {string} productId - Product ID
+ * @returns {Object|null} Product or null
+ */
+function getProductById(productId) {
+    if (!productId) return null;
+    return loadProducts().find(product => product.id === productId) || null;
+}
+
+/**
+ * Short description of a product's strength and unit, e.g. "20 mg/ml · 2 ml pods"
+ * @param {Object} product - Product object
+ * @returns {string} Description
+ */
+function describeProduct(product) {
+    if (product.source !== 'Vape') {
+        return `${product.source} · ${product.strength} mg/piece`;
+    }
+    switch (product.unitType) {
+        case 'pods':
+            return `Vape · ${product.strength} mg/ml · ${product.unitSize} ml pods`;
+        case 'ml':
+            return `Vape · ${product.strength} mg/ml · logged in ml`;
+        default:
+            return `Vape · ${product.strength} mg/ml · logged in puffs`;
+    }
+}
+
+/**
+ * Label of the units a pack holds, e.g. "Pouches per Can"
+ * @param {string} source - Product source
+ * @param {string} unitType - Unit the product is logged in
+ * @returns {string} Label
+ */
+function getPackSizeLabel(source, unitType) {
+    switch (unitType) {
+        case 'pods':
+            return 'Pods per Pack';
+        case 'ml':
+            return 'ml per Bottle';
+        case 'puffs':
+            return 'Puffs per Device';
+        default:
+            return source === 'Snus' ? 'Pouches per Can' : 'Cigarettes per Pack';
+    }
+}
+
+/**
+ * Format an amount of money with the currency symbol from settings
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount, e.g. "$4.50"
+ */
+function formatMoney(amount) {
+    const sign = amount < 0 ? '-' : '';
+    return `${sign}${loadSettings().currencySymbol}${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Price of one unit of a product
+ * @param {Object|null} product - Product object
+ * @returns {number|null} Price per unit, or null when the product has no price
+ */
+function getProductUnitCost(product) {
+    if (!product || !(product.packPrice > 0) || !(product.packSize > 0)) return null;
+    return product.packPrice / product.packSize;
+}
+
+/**
+ * Cost of an amount of a product from its pack price
+ * Amounts in another unit than the product's are not priced.
+ * @param {string|null} productId - Product ID
+ * @param {string} unitType - Unit the amount is in
+ * @param {number} amount - Amount used
+ * @param {Array} [products] - Products to look the product up in
+ * @returns {number|null} Cost rounded to cents, or null when it is unknown
+ */
+function getProductCost(productId, unitType, amount, products = loadProducts()) {
+    const product = productId ? products.find(p => p.id === productId) : null;
+    const unitCost = getProductUnitCost(product);
+    if (unitCost === null || unitType !== product.unitType) return null;
+    return Math.round(amount * unitCost * 100) / 100;
+}
+
+/**
+ * Cost of an entry
+ * Uses the cost saved on the entry; entries without one (logged before their
+ * product had a price) are priced from the product's current price.
+ * @param {Object} log - Log entry
+ * @param {Array} [products] - Products to look the entry's product up in
+ * @returns {number|null} Cost, or null when it is unknown or the entry is no intake
+ */
+function getLogCost(log, products = loadProducts()) {
+    if (!isIntakeLog(log)) return null;
+    if (typeof log.cost === 'number') return log.cost;
+    return getProductCost(log.productId, log.unitType, log.amount, products);
+}
+
+/**
+ * Short description of a product's pack price, e.g. "$8.50 per 20 cigarettes"
+ * @param {Object} product - Product object
+ * @returns {string} Description ('' when the product has no price)
+ */
+function describeProductPrice(product) {
+    if (getProductUnitCost(product) === null) return '';
+    const unit = getPackSizeLabel(product.source, product.unitType).split(' per ')[0].toLowerCase();
+    return `${formatMoney(product.packPrice)} per ${product.packSize} ${unit}`;
+}
+
+/**
+ * Render saved products in the settings modal
+ */
+function renderProductList() {
+    const container = document.getElementById('productList');
+    const products = getActiveProducts();
+    container.innerHTML = '';
+
+    if (products.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-hint';
+        empty.textContent = 'No products saved yet.';
+        container.appendChild(empty);
+        return;
+    }
+
+    products.forEach(product => {
+        const item = document.createElement('div');
+        item.className = 'product-item';
+
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        name.textContent = product.name;
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = [describeProduct(product), describeProductPrice(product)].filter(Boolean).join(' · ');
+        text.appendChild(name);
+        text.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'product-item-actions';
+        const price = document.createElement('button');
+        price.className = 'btn-link';
+        price.dataset.priceProduct = product.id;
+        price.textContent = 'Price';
+        const remove = document.createElement('button');
+        remove.className = 'btn-link';
+        remove.dataset.archiveProduct = product.id;
+        remove.textContent = 'Remove';
+        actions.appendChild(price);
+        actions.appendChild(remove);
+
+        item.appendChild(text);
+        item.appendChild(actions);
+        container.appendChild(item);
+
+        if (product.id === pricingProductId) {
+            container.appendChild(createProductPriceEditor(product));
+        }
+    });
+}
+
+/**
+ * Inline form to set a saved product's pack price
+ * @param {Object} product - Product object
+ * @returns {HTMLElement} Editor row
+ */
+function createProductPriceEditor(product) {
+    const editor = document.createElement('div');
+    editor.className = 'choice-add product-price-editor';
+
+    const price = document.createElement('input');
+    price.type = 'number';
+    price.min = '0';
+    price.step = '0.01';
+    price.className = 'input';
+    price.id = 'pricingPackPrice';
+    price.placeholder = `Pack price (${loadSettings().currencySymbol})`;
+    price.value = product.packPrice != null ? product.packPrice : '';
+
+    const size = document.createElement('input');
+    size.type = 'number';
+    size.min = '0';
+    size.step = '1';
+    size.className = 'input';
+    size.id = 'pricingPackSize';
+    size.placeholder = getPackSizeLabel(product.source, product.unitType);
+    size.value = product.packSize != null ? product.packSize : '';
+
+    const save = document.createElement('button');
+    save.className = 'btn-secondary';
+    save.dataset.savePrice = product.id;
+    save.textContent = 'Save';
+
+    editor.appendChild(price);
+    editor.appendChild(size);
+    editor.appendChild(save);
+    return editor;
+}
+
+/**
+ * Read a pack price and size from two inputs
+ * An empty price means no price.
+ * @param {string} priceId - ID of the price input
+ * @param {string} sizeId - ID of the pack size input
+ * @returns {Object} { packPrice, packSize, error }
+ */
+function readPackPrice(priceId, sizeId) {
+    const priceValue = document.getElementById(priceId).value;
+    if (priceValue === '') {
+        return { packPrice: null, packSize: null, error: null };
+    }
+    const packPrice = parseFloat(priceValue);
+    const packSize = parseFloat(document.getElementById(sizeId).value);
+    if (isNaN(packPrice) || packPrice < 0) {
+        return { error: 'Please enter the price of a pack' };
+    }
+    if (isNaN(packSize) || packSize <= 0) {
+        return { error: 'Please enter how many units a pack holds' };
+    }
+    return { packPrice, packSize, error: null };
+}
+
+/**
+ * Save the price typed into a product's inline price editor
+ * @param {string} productId - ID of the product
+ */
+function saveProductPriceFromUI(productId) {
+    const { packPrice, packSize, error } = readPackPrice('pricingPackPrice', 'pricingPackSize');
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    setProductPrice(productId, packPrice, packSize);
+    pricingProductId = null;
+    renderProductList();
+    showToast(packPrice === null ? 'Price removed' : 'Price saved');
+}
+
+/**
+ * Show the unit fields that apply to the selected product source
+ */
+function updateProductFormFields() {
+    const source = document.getElementById('productSource').value;
+    const isVape = source === 'Vape';
+    const unitType = document.getElementById('productUnitType').value;
+
+    document.getElementById('productStrengthLabel').textContent = isVape ? 'Strength (mg/ml)' : 'Strength (mg/piece)';
+    document.getElementById('productVapeUnitRow').style.display = isVape ? 'flex' : 'none';
+    document.getElementById('productUnitSizeGroup').style.display = isVape && unitType === 'pods' ? 'flex' : 'none';
+    document.getElementById('productPackSizeLabel').textContent = getPackSizeLabel(source, isVape ? unitType : 'pieces');
+    document.getElementById('productPackSizeGroup').style.display =
+        document.getElementById('productPackPrice').value !== '' ? 'flex' : 'none';
+}
+
+/**
+ * Reset the add-product form
+ */
+function resetProductForm() {
+    document.getElementById('productName').value = '';
+    document.getElementById('productSource').value = 'Vape';
+    document.getElementById('productStrength').value = '';
+    document.getElementById('productUnitType').value = 'puffs';
+    document.getElementById('productUnitSize').value = '';
+    document.getElementById('productPackPrice').value = '';
+    document.getElementById('productPackSize').value = '';
+    updateProductFormFields();
+}
+
+/**
+ * Validate the add-product form and save the product
+ */
+function addProductFromUI() {
+    const name = document.getElementById('productName').value.trim();
+    const source = document.getElementById('productSource').value;
+    const strength = parseFloat(document.getElementById('productStrength').value);
+    const unitType = source === 'Vape' ? document.getElementById('productUnitType').value : 'pieces';
+    const unitSize = parseFloat(document.getElementById('productUnitSize').value);
+
+    if (!name) {
+        showToast('Please name the product', 'error');
+        return;
+    }
+    if (isNaN(strength) || strength <= 0) {
+        showToast('Please enter the nicotine strength', 'error');
+        return;
+    }
+    if (unitType === 'pods' && (isNaN(unitSize) || unitSize <= 0)) {
+        showToast('Please enter how many ml a pod holds', 'error');
+        return;
+    }
+    const { packPrice, packSize, error } = readPackPrice('productPackPrice', 'productPackSize');
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    addProduct({
+        name,
+        source,
+        strength,
+        unitType,
+        unitSize: unitType === 'pods' ? unitSize : null,
+        packPrice,
+        packSize
+    });
+    resetProductForm();
+    renderProductList();
+    showToast('Product saved');
+}
+
+/**
+ * Fill the wizard product picker with active products
+ */
+function populateProductSelect() {
+    const select = document.getElementById('productSelect');
+    const products = getActiveProducts();
+
+    select.innerHTML = '';
+    const custom = document.createElement('option');
+    custom.value = '';
+    custom.textContent = 'Custom entry';
+    select.appendChild(custom);
+
+    products.forEach(product => {
+        const option = document.createElement('option');
+        option.value = product.id;
+        option.textContent = product.name;
+        select.appendChild(option);
+    });
+
+    select.value = '';
+    document.getElementById('productGroup').style.display = products.length > 0 ? 'flex' : 'none';
+}
+
+/**
+ * Pre-fill wizard step 1 from a saved product (or go back to a custom entry)
+ * @param {string|null} productId - Product ID, or null for a custom entry
+ */
+function applyProductToWizard(productId) {
+    const product = getProductById(productId);
+    if (!product) {
+        wizardData.productId = null;
+        wizardData.unitType = 'puffs';
+        wizardData.unitSize = null;
+        showQuantityInput();
+        updateEstimatedMg();
+        validateWizardStep(1);
+        return;
+    }
+
+    wizardData.productId = product.id;
+    wizardData.source = product.source;
+    wizardData.strength = product.strength;
+    wizardData.unitType = product.unitType;
+    wizardData.unitSize = product.unitSize;
+
+    document.querySelectorAll('input[name="source"]').forEach(radio => {
+        radio.checked = radio.value === product.source;
+    });
+    document.getElementById('strengthSlider').value = product.strength;
+    document.getElementById('strengthValue').textContent = product.strength.toFixed(1);
+
+    showQuantityInput();
+    updateEstimatedMg();
+    validateWizardStep(1);
+}
@@ -0,0 +1,83 @@
+/**
+ * Installable, offline-capable app support for NicoTracker
+ * Registers the service worker (sw.js) and offers to reload when a new
+ * version has been downloaded.
+ */
+
+// Installed service worker waiting to take over, while the update banner shows
+let waitingWorker = null;
+
+// Set once the user accepts an update, so the page reloads exactly once
+let reloadingForUpdate = false;
+
+/**
+ * Register the service worker and watch for new versions
+ * @returns {Promise<void>}
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    setupUpdateBannerListeners();
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return;
+    }
+
+    // An update may have finished downloading during an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!reloadingForUpdate) return;
+        // Let queued encrypted writes land before the page goes away
+        flushProtectedWrites().then(() => window.location.reload());
+    });
+}
+
+/**
+ * Set up the buttons of the update banner
+ */
+function setupUpdateBannerListeners() {
+    document.getElementById('applyUpdateBtn').addEventListener('click', () => {
+        if (!waitingWorker) return;
+        reloadingForUpdate = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        hideUpdatePrompt();
+    });
+
+    document.getElementById('dismissUpdateBtn').addEventListener('click', () => {
+        hideUpdatePrompt();
+    });
+}
+
+/**
+ * Show the update banner for a waiting service worker
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    document.getElementById('updateBanner').classList.add('show');
+}
+
+/**
+ * Hide the update banner; a dismissed update is offered again on the next start
+ */
+function hideUpdatePrompt() {
+    waitingWorker = null;
+    document.getElementById('updateBanner').classList.remove('show');
+}
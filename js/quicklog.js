@@ -0,0 +1,226 @@
+/**
+ * Quick logging for NicoTracker
+ * Dashboard buttons that record a complete intake from a saved preset or by
+ * repeating the last intake, each followed by an undo toast. Presets are
+ * created from the wizard and managed in settings.
+ */
+
+/**
+ * Set up event listeners for the quick-log buttons and preset management
+ */
+function setupQuickLogEventListeners() {
+    document.getElementById('quickLogButtons').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-preset-id]');
+        if (!button) return;
+        const preset = loadPresets().find(p => p.id === button.dataset.presetId);
+        if (preset) {
+            quickLog(preset, `Logged ${preset.name}`);
+        }
+    });
+
+    document.getElementById('repeatLastBtn').addEventListener('click', () => {
+        repeatLastIntake();
+    });
+
+    document.getElementById('saveAsPreset').addEventListener('change', (e) => {
+        document.getElementById('presetNameGroup').style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    document.getElementById('presetList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-preset-action]');
+        if (!button) return;
+        const presetId = button.dataset.presetId;
+        switch (button.dataset.presetAction) {
+            case 'up':
+                movePreset(presetId, -1);
+                break;
+            case 'down':
+                movePreset(presetId, 1);
+                break;
+            case 'delete':
+                deletePreset(presetId);
+                showToast('Quick-log button removed');
+                break;
+        }
+        renderPresetList();
+        renderQuickLogButtons();
+    });
+}
+
+/**
+ * Short description of an intake, e.g. "Vape · 10 puffs · 20 mg/ml"
+ * @param {Object} intake - Preset or log with source, amount, unitType and strength
+ * @returns {string} Description
+ */
+function describeIntake(intake) {
+    return `${intake.source} · ${intake.amount} ${intake.unitType} · ${intake.strength} ${getStrengthUnit(intake.source)}`;
+}
+
+/**
+ * Render the quick-log buttons and the repeat-last button on the dashboard
+ * @returns {Promise<void>}
+ */
+async function renderQuickLogButtons() {
+    const container = document.getElementById('quickLogButtons');
+    container.innerHTML = '';
+    loadPresets().forEach(preset => {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary quick-log-btn';
+        button.dataset.presetId = preset.id;
+        button.title = describeIntake(preset);
+
+        const name = document.createElement('span');
+        name.className = 'quick-log-name';
+        name.textContent = preset.name;
+        const mg = document.createElement('span');
+        mg.className = 'quick-log-mg';
+        mg.textContent = `${calculateEstimatedMg(preset.source, preset.amount, preset.strength, preset.unitType, preset.unitSize).toFixed(1)} mg`;
+
+        button.appendChild(name);
+        button.appendChild(mg);
+        container.appendChild(button);
+    });
+
+    const last = await getMostRecentIntakeLog();
+    const repeatBtn = document.getElementById('repeatLastBtn');
+    repeatBtn.style.display = last ? 'inline-flex' : 'none';
+    if (last) {
+        repeatBtn.title = describeIntake(last);
+    }
+    document.getElementById('quickLogSection').style.display =
+        container.children.length > 0 || last ? 'flex' : 'none';
+}
+
+/**
+ * Record an intake in one step and offer to undo it
+ * Limits are not blocking here; an entry that goes over one says so in the toast.
+ * @param {Object} intake - { source, productId, unitType, unitSize, amount, strength, reason, healthEffects }
+ * @param {string} label - Toast text on success
+ * @returns {Promise<void>}
+ */
+async function quickLog(intake, label) {
+    const logData = buildIntakeLog(intake);
+    const dayLogs = await getLogsByDate(logData.date);
+    const warnings = getLimitWarnings(logData, dayLogs);
+
+    let saved;
+    try {
+        saved = await addLog(logData);
+    } catch (error) {
+        showToast(error.message || 'Failed to save entry', 'error');
+        return;
+    }
+
+    refreshAfterLogChange();
+    scheduleCheckInReminders(saved);
+    const message = `${label} (${saved.estimatedMg.toFixed(1)} mg)`;
+    showToast(warnings.length > 0 ? `${message}. ${warnings[0]}` : message, warnings.length > 0 ? 'error' : 'success', {
+        label: 'Undo',
+        onClick: () => undoQuickLog(saved.id)
+    });
+}
+
+/**
+ * Record the same intake as the most recent one, at the current time
+ * @returns {Promise<void>}
+ */
+async function repeatLastIntake() {
+    const last = await getMostRecentIntakeLog();
+    if (!last) {
+        showToast('Nothing to repeat yet', 'error');
+        return;
+    }
+    await quickLog({
+        source: last.source,
+        productId: last.productId,
+        unitType: last.unitType,
+        unitSize: last.unitSize,
+        amount: last.amount,
+        strength: last.strength,
+        reason: last.reason,
+        healthEffects: last.healthEffects || []
+    }, `Repeated ${last.source}`);
+}
+
+/**
+ * Remove an entry made with a quick-log button
+ * @param {string} logId - ID of the log to remove
+ * @returns {Promise<void>}
+ */
+async function undoQuickLog(logId) {
+    try {
+        await deleteLog(logId);
+    } catch (error) {
+        showToast(error.message || 'Failed to undo', 'error');
+        return;
+    }
+    cancelCheckInReminders(logId);
+    refreshAfterLogChange();
+    showToast('Entry removed');
+}
+
+/**
+ * Save the wizard's intake as a quick-log preset
+ * @param {Object} intake - Intake from getWizardIntake
+ */
+function savePresetFromWizard(intake) {
+    const name = document.getElementById('presetName').value.trim() || describeIntake(intake);
+    try {
+        addPreset({ name, ...intake });
+    } catch (error) {
+        showToast(error.message || 'Failed to save quick-log button', 'error');
+    }
+}
+
+/**
+ * Render the quick-log presets in the settings modal
+ */
+function renderPresetList() {
+    const container = document.getElementById('presetList');
+    const presets = loadPresets();
+    container.innerHTML = '';
+
+    if (presets.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-hint';
+        empty.textContent = 'No quick-log buttons yet. Tick "Save as a quick-log button" when confirming an entry.';
+        container.appendChild(empty);
+        return;
+    }
+
+    presets.forEach((preset, index) => {
+        const item = document.createElement('div');
+        item.className = 'product-item';
+
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        name.textContent = preset.name;
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = [describeIntake(preset), describeReason(preset.reason)].filter(Boolean).join(' · ');
+        text.appendChild(name);
+        text.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'preset-actions';
+        [
+            ['up', '↑', 'Move earlier', index === 0],
+            ['down', '↓', 'Move later', index === presets.length - 1],
+            ['delete', 'Remove', 'Remove button', false]
+        ].forEach(([action, label, title, disabled]) => {
+            const button = document.createElement('button');
+            button.className = 'btn-link';
+            button.dataset.presetAction = action;
+            button.dataset.presetId = preset.id;
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            actions.appendChild(button);
+        });
+
+        item.appendChild(text);
+        item.appendChild(actions);
+        container.appendChild(item);
+    });
+}
@@ -0,0 +1,370 @@
+/**
+ * Quit mode for NicoTracker
+ * With a quit date set (settings.quitMode), the dashboard streak counts
+ * nicotine-free days (see streaks.js), and the dashboard shows the time since the
+ * last nicotine, health milestones and the money and time saved compared with
+ * use before the quit date. Intakes logged after the quit date are slips: they
+ * stay in history like any other entry and restart the nicotine-free clock.
+ */
+
+// Health milestones by time since the last nicotine. Timings are typical
+// figures and vary from person to person.
+const QUIT_MILESTONES = [
+    { minutes: 20, label: '20 minutes', text: 'Heart rate and blood pressure begin to settle' },
+    { minutes: 12 * 60, label: '12 hours', text: 'Most nicotine has usually cleared from your blood' },
+    { minutes: 48 * 60, label: '2 days', text: 'Taste and smell often start to sharpen' },
+    { minutes: 72 * 60, label: '3 days', text: 'Withdrawal usually peaks around now, then eases' },
+    { minutes: 7 * 1440, label: '1 week', text: 'Cravings tend to come less often' },
+    { minutes: 14 * 1440, label: '2 weeks', text: 'Circulation and breathing may start to improve' },
+    { minutes: 30 * 1440, label: '1 month', text: 'Most physical withdrawal symptoms have typically passed' },
+    { minutes: 90 * 1440, label: '3 months', text: 'Nicotine receptors in the brain have largely readjusted' },
+    { minutes: 365 * 1440, label: '1 year', text: 'A year nicotine-free' }
+];
+
+// Days before the quit date that set the baseline savings are measured against
+const QUIT_BASELINE_DAYS = 28;
+
+/**
+ * Coerce stored quit mode settings, dropping them when the quit date is invalid
+ * @param {*} quitMode - Raw quit mode
+ * @returns {Object|null} { quitAt, minutesPerUse } or null
+ */
+function normalizeQuitMode(quitMode) {
+    if (!quitMode || typeof quitMode !== 'object') return null;
+    const quitAt = new Date(quitMode.quitAt);
+    if (typeof quitMode.quitAt !== 'string' || isNaN(quitAt.getTime())) return null;
+    const minutesPerUse = Number(quitMode.minutesPerUse);
+    return {
+        quitAt: quitAt.toISOString(),
+        minutesPerUse: Number.isFinite(minutesPerUse) && minutesPerUse >= 0 ? minutesPerUse : 5
+    };
+}
+
+/**
+ * One-line description of quit mode, e.g. "Quit Mon, Oct 5, 2026 at 9:00 PM"
+ * @param {Object|null} quitMode - Quit mode settings
+ * @returns {string} Description ('—' when quit mode is off)
+ */
+function describeQuitMode(quitMode) {
+    if (!quitMode) return '—';
+    const quitAt = new Date(quitMode.quitAt);
+    return `Quit ${formatHistoryDate(getLocalDateKey(quitAt))} at ${formatLocalTime(quitAt)}`;
+}
+
+/**
+ * Format a length of time, e.g. "45 min", "5h 20m" or "12d 3h"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatQuitDuration(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Intakes logged at or after the quit date, oldest first
+ * @param {Object} quitMode - Quit mode settings
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Intake logs
+ */
+async function getQuitSlips(quitMode, now) {
+    const quitAt = new Date(quitMode.quitAt);
+    if (quitAt > now) return [];
+    const logs = await getLogsByTimeRange(quitAt, now);
+    return logs.filter(isIntakeLog).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Average daily use before the quit date
+ * Covers up to QUIT_BASELINE_DAYS before the quit day, starting from the first
+ * day in that window with an intake so a short history is not diluted.
+ * @param {Object} quitMode - Quit mode settings
+ * @returns {Promise<Object|null>} { days, usesPerDay, mgPerDay, costPerDay, unpriced }, or null without intakes
+ */
+async function computeQuitBaseline(quitMode) {
+    const quitDay = getLocalDateKey(new Date(quitMode.quitAt));
+    const logs = (await getLogsByDateRange(shiftDateKey(quitDay, -QUIT_BASELINE_DAYS), shiftDateKey(quitDay, -1)))
+        .filter(isIntakeLog);
+    if (logs.length === 0) return null;
+
+    const firstDay = logs.reduce((first, log) => log.date < first ? log.date : first, quitDay);
+    const days = countDaysBetween(firstDay, quitDay);
+    const products = loadProducts();
+    let cost = 0;
+    let unpriced = 0;
+    logs.forEach(log => {
+        const logCost = getLogCost(log, products);
+        if (logCost === null) {
+            unpriced++;
+        } else {
+            cost += logCost;
+        }
+    });
+
+    return {
+        days,
+        usesPerDay: logs.length / days,
+        mgPerDay: logs.reduce((sum, log) => sum + (log.estimatedMg || 0), 0) / days,
+        costPerDay: unpriced < logs.length ? cost / days : null,
+        unpriced
+    };
+}
+
+/**
+ * Progress since the quit date
+ * Savings compare the time since the quit date with the baseline, less what
+ * the slips cost. Money saved is null when no baseline entry has a price.
+ * @param {Object} quitMode - Quit mode settings
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { started, quitAt, slips, freeSince, freeMs, longestMs, baseline, moneySaved, minutesSaved }
+ */
+async function computeQuitProgress(quitMode, now = new Date()) {
+    const quitAt = new Date(quitMode.quitAt);
+    const slips = await getQuitSlips(quitMode, now);
+    const baseline = await computeQuitBaseline(quitMode);
+    const started = quitAt <= now;
+
+    // Nicotine-free stretches run between the quit date, each slip and now
+    const marks = [quitAt, ...slips.map(slip => new Date(slip.timestamp))];
+    let longestMs = 0;
+    marks.forEach((mark, index) => {
+        const end = index + 1 < marks.length ? marks[index + 1] : now;
+        longestMs = Math.max(longestMs, end - mark);
+    });
+    const freeSince = marks[marks.length - 1];
+
+    const elapsedDays = started ? (now - quitAt) / 86400000 : 0;
+    let moneySaved = null;
+    let minutesSaved = 0;
+    if (baseline) {
+        const products = loadProducts();
+        const slipCost = slips.reduce((sum, slip) => sum + (getLogCost(slip, products) || 0), 0);
+        if (baseline.costPerDay !== null) {
+            moneySaved = Math.max(0, baseline.costPerDay * elapsedDays - slipCost);
+        }
+        minutesSaved = Math.max(0, (baseline.usesPerDay * elapsedDays - slips.length) * quitMode.minutesPerUse);
+    }
+
+    return {
+        started,
+        quitAt,
+        slips,
+        freeSince,
+        freeMs: started ? now - freeSince : 0,
+        longestMs: started ? longestMs : 0,
+        baseline,
+        moneySaved,
+        minutesSaved
+    };
+}
+
+/**
+ * First milestone not yet reached
+ * @param {number} freeMs - Time since the last nicotine
+ * @returns {Object|null} Milestone, or null when all are reached
+ */
+function getNextQuitMilestone(freeMs) {
+    return QUIT_MILESTONES.find(milestone => milestone.minutes * 60000 > freeMs) || null;
+}
+
+/**
+ * Set up event listeners for the quit mode card and modal
+ */
+function setupQuitEventListeners() {
+    document.getElementById('openQuitBtn').addEventListener('click', () => {
+        openQuitModal();
+    });
+
+    document.getElementById('closeQuit').addEventListener('click', () => {
+        closeModal('quitModal');
+    });
+
+    document.getElementById('saveQuitBtn').addEventListener('click', () => {
+        saveQuitModeFromUI();
+    });
+
+    document.getElementById('endQuitBtn').addEventListener('click', () => {
+        endQuitModeFromUI();
+    });
+}
+
+/**
+ * Open the quit modal with the current quit date and progress
+ * @returns {Promise<void>}
+ */
+async function openQuitModal() {
+    const quitMode = loadSettings().quitMode;
+
+    document.getElementById('quitAt').value = toDateTimeLocalValue(quitMode ? new Date(quitMode.quitAt) : new Date());
+    document.getElementById('quitMinutesPerUse').value = quitMode ? quitMode.minutesPerUse : 5;
+    document.getElementById('saveQuitBtn').textContent = quitMode ? 'Save Quit Date' : 'Start Quit Mode';
+    document.getElementById('endQuitBtn').style.display = quitMode ? 'inline-flex' : 'none';
+    document.getElementById('quitSummary').textContent = quitMode
+        ? `${describeQuitMode(quitMode)}. Your streak counts nicotine-free days.`
+        : 'Set the moment you quit, or plan one ahead. Your streak then counts nicotine-free days, and anything you log afterwards is kept as a slip.';
+
+    await renderQuitProgress(quitMode);
+    openModal('quitModal');
+}
+
+/**
+ * Render milestones, baseline and slips in the quit modal
+ * @param {Object|null} quitMode - Quit mode settings
+ * @returns {Promise<void>}
+ */
+async function renderQuitProgress(quitMode) {
+    const section = document.getElementById('quitProgressSection');
+    section.style.display = quitMode ? 'block' : 'none';
+    if (!quitMode) return;
+
+    const progress = await computeQuitProgress(quitMode);
+    const list = document.getElementById('quitMilestoneList');
+    list.innerHTML = '';
+    QUIT_MILESTONES.forEach(milestone => {
+        const reached = progress.started && milestone.minutes * 60000 <= progress.freeMs;
+        const row = document.createElement('div');
+        row.className = `product-item quit-milestone${reached ? ' reached' : ''}`;
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        name.textContent = milestone.label;
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = milestone.text;
+        text.appendChild(name);
+        text.appendChild(details);
+
+        const status = document.createElement('span');
+        status.className = 'taper-day-status';
+        status.textContent = reached
+            ? '✓ Reached'
+            : `in ${formatQuitDuration(milestone.minutes * 60000 - progress.freeMs)}`;
+
+        row.appendChild(text);
+        row.appendChild(status);
+        list.appendChild(row);
+    });
+
+    const baseline = progress.baseline;
+    let summary = baseline
+        ? `Before quitting you averaged ${baseline.usesPerDay.toFixed(1)} uses and ${baseline.mgPerDay.toFixed(1)} mg a day over ${baseline.days} ${baseline.days === 1 ? 'day' : 'days'}.`
+        : 'No intakes were logged in the four weeks before your quit date, so savings cannot be worked out.';
+    if (baseline && baseline.costPerDay === null) {
+        summary += ' Add pack prices to your products in Settings to see the money saved.';
+    } else if (baseline && baseline.unpriced > 0) {
+        summary += ` ${baseline.unpriced} of those entries have no price and are left out of the money saved.`;
+    }
+    document.getElementById('quitBaseline').textContent = summary;
+
+    const slipSection = document.getElementById('quitSlipSection');
+    slipSection.style.display = progress.slips.length > 0 ? 'block' : 'none';
+    document.getElementById('quitSlipSummary').textContent =
+        `${progress.slips.length} ${progress.slips.length === 1 ? 'slip' : 'slips'} since your quit date. ` +
+        `They stay in your history; your longest nicotine-free stretch is ${formatQuitDuration(progress.longestMs)}.`;
+    const slipList = document.getElementById('quitSlipList');
+    slipList.innerHTML = '';
+    [...progress.slips].reverse().forEach(slip => {
+        const row = document.createElement('div');
+        row.className = 'product-item';
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        name.textContent = `${formatHistoryDate(slip.date)} ${formatLocalTime(new Date(slip.timestamp))}`;
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = `${slip.source} · ${(slip.estimatedMg || 0).toFixed(1)} mg`;
+        text.appendChild(name);
+        text.appendChild(details);
+        row.appendChild(text);
+        slipList.appendChild(row);
+    });
+}
+
+/**
+ * Save the quit date in the form and switch to quit mode
+ * @returns {Promise<void>}
+ */
+async function saveQuitModeFromUI() {
+    const value = document.getElementById('quitAt').value;
+    const quitAt = fromDateTimeLocalValue(value);
+    if (!value || isNaN(quitAt.getTime())) {
+        showToast('Please choose a valid quit date and time', 'error');
+        return;
+    }
+    const minutesPerUse = parseFloat(document.getElementById('quitMinutesPerUse').value);
+    if (isNaN(minutesPerUse) || minutesPerUse < 0) {
+        showToast('Please enter how many minutes a use takes', 'error');
+        return;
+    }
+
+    const settings = loadSettings();
+    const quitMode = { quitAt: quitAt.toISOString(), minutesPerUse };
+    saveSettings({ ...settings, quitMode });
+    closeModal('quitModal');
+    updateDashboard();
+    if (quitAt > new Date()) {
+        showToast(`Quit date set: ${describeQuitMode(quitMode).replace(/^Quit /, '')}`);
+    } else {
+        showToast(settings.quitMode ? 'Quit date saved' : 'Quit mode started. You\'ve got this');
+    }
+}
+
+/**
+ * Leave quit mode and go back to the logging streak
+ * @returns {Promise<void>}
+ */
+async function endQuitModeFromUI() {
+    const settings = loadSettings();
+    if (!settings.quitMode) return;
+    if (!confirm('End quit mode? Your entries are kept and the streak counts days with logs again.')) return;
+
+    saveSettings({ ...settings, quitMode: null });
+    closeModal('quitModal');
+    updateDashboard();
+    showToast('Quit mode ended');
+}
+
+/**
+ * Update the dashboard quit card
+ * @param {Object} settings - Settings object
+ * @returns {Promise<void>}
+ */
+async function updateQuitCard(settings) {
+    const quitMode = settings.quitMode;
+    document.getElementById('openQuitBtn').textContent = quitMode ? 'View progress' : 'Set a quit date';
+
+    const value = document.getElementById('quitElapsedValue');
+    const savings = document.getElementById('quitSavingsValue');
+    const next = document.getElementById('quitNextMilestone');
+    if (!quitMode) {
+        value.textContent = 'Not started';
+        savings.textContent = 'Set a quit date to count nicotine-free time and savings.';
+        next.textContent = '';
+        return;
+    }
+
+    const progress = await computeQuitProgress(quitMode);
+    if (!progress.started) {
+        value.textContent = `Starts in ${formatQuitDuration(progress.quitAt - new Date())}`;
+        savings.textContent = describeQuitMode(quitMode);
+        next.textContent = '';
+        return;
+    }
+
+    value.textContent = `${formatQuitDuration(progress.freeMs)} nicotine-free`;
+    const saved = [];
+    if (progress.moneySaved !== null) saved.push(formatMoney(progress.moneySaved));
+    if (progress.minutesSaved > 0) saved.push(formatQuitDuration(progress.minutesSaved * 60000));
+    savings.textContent = saved.length > 0 ? `Saved ${saved.join(' and ')}` : 'Savings appear once you have a baseline before your quit date';
+    if (progress.slips.length > 0) {
+        savings.textContent += ` · ${progress.slips.length} ${progress.slips.length === 1 ? 'slip' : 'slips'}, longest ${formatQuitDuration(progress.longestMs)}`;
+    }
+
+    const milestone = getNextQuitMilestone(progress.freeMs);
+    next.textContent = milestone
+        ? `Next: ${milestone.label} in ${formatQuitDuration(milestone.minutes * 60000 - progress.freeMs)}`
+        : 'Every milestone reached';
+}
@@ -0,0 +1,341 @@
+/**
+ * Check-in reminders for NicoTracker
+ * After an intake, reminds the user to check in at the configured delays so
+ * focus and anxiety are recorded once the dose has taken effect.
+ *
+ * While the app is open each reminder is a page timer (restored on start) and
+ * shows as an in-app toast, or as a notification while the app is in the
+ * background. With notification permission the reminders are also handed over
+ * so they can fire once the app is closed: to the browser as scheduled
+ * notifications where it supports Notification Triggers, otherwise to the
+ * service worker, which keeps them and shows the due ones whenever periodic
+ * background sync wakes it (see sw.js). Tapping a reminder opens the
+ * cognitive view linked to the intake.
+ */
+
+// Query parameter a reminder opens the app with, holding the intake ID
+const CHECK_IN_LINK_PARAM = 'checkin';
+
+// A check-in this close before a reminder is due makes the reminder unnecessary
+const REMINDER_GRACE_MINUTES = 5;
+
+// Longest delay a reminder can be set to
+const MAX_REMINDER_MINUTES = 24 * 60;
+
+// Periodic background sync that lets the service worker show due reminders
+const REMINDER_SYNC_TAG = 'checkin-reminders';
+
+// Shortest interval to ask periodic background sync for (browsers may wait longer)
+const REMINDER_SYNC_MINUTES = 15;
+
+// Page timers of reminders that are not yet due, by intake ID
+const reminderTimers = new Map();
+
+// Intake a reminder asked to check in for before the app was ready
+let deferredCheckInLink = null;
+
+// Set once the app can switch views (data unlocked and migrated)
+let checkInLinksReady = false;
+
+/**
+ * Whether reminders can be shown as system notifications
+ * @returns {boolean} True when notifications are supported and allowed
+ */
+function canShowReminderNotifications() {
+    return 'Notification' in window && 'serviceWorker' in navigator && Notification.permission === 'granted';
+}
+
+/**
+ * Whether the browser can show a notification at a set time by itself
+ * @returns {boolean} True when Notification Triggers are supported and allowed
+ */
+function canTriggerReminderNotifications() {
+    return canShowReminderNotifications() && 'TimestampTrigger' in window && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * Ask for notification permission if it has not been decided yet
+ * @returns {Promise<boolean>} True when notifications are allowed
+ */
+async function requestReminderPermission() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'default') {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.error('Error requesting notification permission:', error);
+        }
+    }
+    return Notification.permission === 'granted';
+}
+
+/**
+ * Read reminder delays typed as a comma separated list of minutes
+ * @param {string} text - e.g. "20, 60"
+ * @returns {Array<number>|null} Sorted distinct delays, or null when any part is invalid
+ */
+function parseReminderMinutes(text) {
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    const minutes = parts.map(Number);
+    if (minutes.some(value => !Number.isInteger(value) || value <= 0 || value > MAX_REMINDER_MINUTES)) {
+        return null;
+    }
+    return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+/**
+ * Notification shown for one reminder
+ * The intake's source is left out while the app lock is on, since
+ * notifications can appear on the device lock screen.
+ * @param {Object} intake - Intake log
+ * @param {number} minutes - Delay of the reminder
+ * @returns {Object} { title, options } for showNotification
+ */
+function buildReminderNotification(intake, minutes) {
+    const what = isLockEnabled() ? 'your last intake' : `your ${intake.source}`;
+    const dueAt = new Date(intake.timestamp).getTime() + minutes * 60000;
+    return {
+        title: 'Time for a check-in',
+        options: {
+            body: `${minutes} minutes since ${what}. How do you feel?`,
+            tag: `checkin-${intake.id}-${minutes}`,
+            icon: 'assets/icons/icon-192.png',
+            data: {
+                intakeId: intake.id,
+                dueAt,
+                url: `./?${CHECK_IN_LINK_PARAM}=${encodeURIComponent(intake.id)}`
+            }
+        }
+    };
+}
+
+/**
+ * Schedule the check-in reminders for an intake
+ * Reminders whose time has already passed are skipped. The page keeps a timer
+ * for each one and hands them over to fire once the app is closed.
+ * @param {Object} intake - Intake log
+ * @returns {Array<number>} Delays that were scheduled
+ */
+function scheduleCheckInReminders(intake) {
+    cancelReminderTimers(intake.id);
+    const settings = loadSettings();
+    if (!settings.checkInRemindersEnabled) return [];
+
+    const intakeTime = new Date(intake.timestamp).getTime();
+    const due = settings.checkInReminderMinutes.filter(minutes => intakeTime + minutes * 60000 > Date.now());
+    if (due.length === 0) return [];
+
+    reminderTimers.set(intake.id, due.map(minutes => setTimeout(async () => {
+        // The page delivers this one; the handed-over copy is no longer needed
+        await withdrawCheckInReminders(intake.id, Date.now());
+        await showCheckInReminder(intake.id, minutes);
+    }, intakeTime + minutes * 60000 - Date.now())));
+    handOverCheckInReminders(intake, due).catch(error => {
+        console.error('Error handing over check-in reminders:', error);
+    });
+    return due;
+}
+
+/**
+ * Let reminders fire while the app is closed
+ * Replaces any reminders handed over earlier for the same intake.
+ * @param {Object} intake - Intake log
+ * @param {Array<number>} due - Delays still to come
+ * @returns {Promise<void>}
+ */
+async function handOverCheckInReminders(intake, due) {
+    if (!canShowReminderNotifications()) return;
+
+    const notifications = due.map(minutes => buildReminderNotification(intake, minutes));
+    const registration = await navigator.serviceWorker.ready;
+    if (canTriggerReminderNotifications()) {
+        // Reminders that have not fired yet may have been set with other delays
+        const scheduled = await registration.getNotifications({ includeTriggered: true });
+        scheduled
+            .filter(notification => notification.data && notification.data.intakeId === intake.id &&
+                notification.data.dueAt > Date.now())
+            .forEach(notification => notification.close());
+        for (const notification of notifications) {
+            await registration.showNotification(notification.title, {
+                ...notification.options,
+                showTrigger: new TimestampTrigger(notification.options.data.dueAt)
+            });
+        }
+        return;
+    }
+
+    registration.active.postMessage({ type: 'SCHEDULE_CHECK_IN_REMINDERS', intakeId: intake.id, notifications });
+    if (!('periodicSync' in registration)) return;
+    try {
+        await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_MINUTES * 60000 });
+    } catch (error) {
+        // Not granted (e.g. the app is not installed): reminders wait for the app to open
+    }
+}
+
+/**
+ * Take back handed-over reminders of an intake, and close any still on screen
+ * @param {string|null} intakeId - ID of the intake (null for every intake)
+ * @param {number} [until=Infinity] - Only reminders due by this time (ms)
+ * @returns {Promise<void>}
+ */
+async function withdrawCheckInReminders(intakeId, until = Infinity) {
+    if (!canShowReminderNotifications()) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        // includeTriggered also returns scheduled notifications that have not fired yet
+        const notifications = await registration.getNotifications({ includeTriggered: true });
+        notifications
+            .filter(notification => notification.data && notification.data.dueAt <= until &&
+                (intakeId === null || notification.data.intakeId === intakeId))
+            .forEach(notification => notification.close());
+        registration.active.postMessage({
+            type: 'CANCEL_CHECK_IN_REMINDERS',
+            intakeId,
+            // Infinity does not survive postMessage as a number limit
+            until: Number.isFinite(until) ? until : null
+        });
+    } catch (error) {
+        console.error('Error withdrawing reminders:', error);
+    }
+}
+
+/**
+ * Show a reminder that has come due, unless reminders were switched off, the
+ * intake was deleted or a check-in for it has been made since
+ * @param {string} intakeId - ID of the intake
+ * @param {number} minutes - Delay of the reminder
+ * @returns {Promise<void>}
+ */
+async function showCheckInReminder(intakeId, minutes) {
+    if (!loadSettings().checkInRemindersEnabled) return;
+    const intake = await getLogById(intakeId);
+    if (!intake) return;
+
+    const dueAt = new Date(intake.timestamp).getTime() + (minutes - REMINDER_GRACE_MINUTES) * 60000;
+    const checkIns = await getCheckInsForIntake(intakeId);
+    if (checkIns.some(checkIn => new Date(checkIn.timestamp).getTime() >= dueAt)) return;
+
+    if (document.visibilityState !== 'visible' && canShowReminderNotifications()) {
+        const notification = buildReminderNotification(intake, minutes);
+        const registration = await navigator.serviceWorker.ready;
+        await registration.showNotification(notification.title, notification.options);
+        return;
+    }
+
+    showToast(`${minutes} min since your ${intake.source}. Time for a check-in`, 'success', {
+        label: 'Check in',
+        onClick: () => openCheckIn(intakeId)
+    });
+}
+
+/**
+ * Clear the page timers of an intake's reminders
+ * @param {string} intakeId - ID of the intake
+ */
+function cancelReminderTimers(intakeId) {
+    (reminderTimers.get(intakeId) || []).forEach(timer => clearTimeout(timer));
+    reminderTimers.delete(intakeId);
+}
+
+/**
+ * Cancel every reminder of an intake, e.g. when it is undone or deleted,
+ * and close any of its reminders still on screen
+ * @param {string} intakeId - ID of the intake
+ * @returns {Promise<void>}
+ */
+async function cancelCheckInReminders(intakeId) {
+    cancelReminderTimers(intakeId);
+    await withdrawCheckInReminders(intakeId);
+}
+
+/**
+ * Cancel the reminders of every intake, e.g. when reminders are switched off
+ * @returns {Promise<void>}
+ */
+async function cancelAllCheckInReminders() {
+    [...reminderTimers.keys()].forEach(intakeId => cancelReminderTimers(intakeId));
+    await withdrawCheckInReminders(null);
+}
+
+/**
+ * Drop the reminders a new check-in has made unnecessary
+ * As in showCheckInReminder, a check-in counts for reminders due up to
+ * REMINDER_GRACE_MINUTES after it.
+ * @param {Object} checkIn - Check-in log
+ * @returns {Promise<void>}
+ */
+async function settleCheckInReminders(checkIn) {
+    if (!checkIn.intakeId) return;
+    const until = new Date(checkIn.timestamp).getTime() + REMINDER_GRACE_MINUTES * 60000;
+    await withdrawCheckInReminders(checkIn.intakeId, until);
+}
+
+/**
+ * Schedule the reminders still to come for recent intakes
+ * Page timers do not survive a reload, so this runs when the app starts.
+ * @returns {Promise<void>}
+ */
+async function restoreCheckInReminders() {
+    const settings = loadSettings();
+    if (!settings.checkInRemindersEnabled || settings.checkInReminderMinutes.length === 0) return;
+
+    const now = new Date();
+    const longest = Math.max(...settings.checkInReminderMinutes);
+    const intakes = (await getLogsByTimeRange(new Date(now.getTime() - longest * 60000), now)).filter(isIntakeLog);
+    intakes.forEach(intake => scheduleCheckInReminders(intake));
+}
+
+/**
+ * Listen for reminders tapped while the app is already open
+ * Links that arrive before the app is ready are kept until openCheckInLink.
+ */
+function setupCheckInLinks() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (!event.data || event.data.type !== 'OPEN_CHECK_IN') return;
+        if (checkInLinksReady) {
+            openCheckIn(event.data.intakeId);
+        } else {
+            deferredCheckInLink = event.data.intakeId;
+        }
+    });
+}
+
+/**
+ * Open the check-in a reminder asked for, from the URL or a deferred message
+ */
+function openCheckInLink() {
+    checkInLinksReady = true;
+    const params = new URLSearchParams(window.location.search);
+    const intakeId = deferredCheckInLink || params.get(CHECK_IN_LINK_PARAM);
+    deferredCheckInLink = null;
+
+    if (params.has(CHECK_IN_LINK_PARAM)) {
+        // Drop the parameter so reloading does not open the check-in again
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+    if (intakeId) {
+        openCheckIn(intakeId);
+    }
+}
+
+/**
+ * Show the reminder fields and notification status in settings
+ * @param {boolean} enabled - Whether reminders are switched on in the form
+ */
+function updateReminderSettingsUI(enabled) {
+    document.getElementById('checkInReminderSettings').style.display = enabled ? 'block' : 'none';
+    const hint = document.getElementById('reminderPermissionHint');
+    if (!('Notification' in window)) {
+        hint.textContent = 'Reminders only fire while the app stays open, and this browser shows them inside the app.';
+    } else if (Notification.permission === 'denied') {
+        hint.textContent = 'Reminders only fire while the app stays open. Notifications are blocked, so they show inside the app.';
+    } else if ('TimestampTrigger' in window && 'showTrigger' in Notification.prototype) {
+        hint.textContent = 'Reminders arrive as notifications on time, even once the app is closed.';
+    } else {
+        hint.textContent = 'Once the app is closed, reminders arrive when the browser next wakes it in the background. ' +
+            'That needs the installed app, can take a while, and skips reminders more than 2 hours late.';
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Spending for NicoTracker
+ * Adds up the cost of intakes (see getLogCost in products.js) per day, week and
+ * month for the dashboard card. The spend-over-time chart lives in charts.js.
+ */
+
+// Days covered by the weekly and monthly totals on the dashboard
+const SPEND_WEEK_DAYS = 7;
+const SPEND_MONTH_DAYS = 30;
+
+/**
+ * Total cost of a set of logs
+ * @param {Array} logs - Log entries
+ * @param {Array} [products] - Product catalog, to price entries without a saved cost
+ * @returns {Object} { total, priced, unpriced } where priced and unpriced count intakes
+ */
+function summarizeSpend(logs, products = loadProducts()) {
+    const summary = { total: 0, priced: 0, unpriced: 0 };
+    logs.filter(isIntakeLog).forEach(log => {
+        const cost = getLogCost(log, products);
+        if (cost === null) {
+            summary.unpriced++;
+        } else {
+            summary.total += cost;
+            summary.priced++;
+        }
+    });
+    return summary;
+}
+
+/**
+ * Update the dashboard spending card: today, the last 7 days and the last 30 days
+ * @param {string} today - Today's tracking day key
+ * @returns {Promise<void>}
+ */
+async function updateSpendCard(today) {
+    const products = loadProducts();
+    const logs = await getLogsByDateRange(shiftDateKey(today, -(SPEND_MONTH_DAYS - 1)), today);
+    const weekStart = shiftDateKey(today, -(SPEND_WEEK_DAYS - 1));
+    const day = summarizeSpend(logs.filter(log => log.date === today), products);
+    const week = summarizeSpend(logs.filter(log => log.date >= weekStart), products);
+    const month = summarizeSpend(logs, products);
+
+    const value = document.getElementById('spendTodayValue');
+    const periods = document.getElementById('spendPeriodValue');
+    const hint = document.getElementById('spendHint');
+    if (month.priced === 0 && !products.some(product => getProductUnitCost(product) !== null)) {
+        value.textContent = '—';
+        periods.textContent = 'Add pack prices to your products in Settings to track spending.';
+        hint.textContent = '';
+        return;
+    }
+
+    value.textContent = formatMoney(day.total);
+    periods.textContent = `${SPEND_WEEK_DAYS} days: ${formatMoney(week.total)} · ${SPEND_MONTH_DAYS} days: ${formatMoney(month.total)}`;
+    hint.textContent = month.unpriced > 0
+        ? `${month.unpriced} ${month.unpriced === 1 ? 'entry' : 'entries'} without a price left out`
+        : '';
+}
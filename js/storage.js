@@ -1,29 +1,110 @@
 /**
  * Storage utilities for NicoTracker
- * Handles all localStorage operations, import/export functionality
+ * Logs are kept in IndexedDB (see db.js) behind an async API; settings and
+ * products stay in localStorage. With the app lock on, all of them are stored
+ * encrypted (see lock.js). Also handles import/export.
  */
 
 const STORAGE_KEYS = {
+    // Logs were stored here up to schema 4; they now live in IndexedDB
     LOGS: 'nicotracker_logs',
-    SETTINGS: 'nicotracker_settings'
+    SETTINGS: 'nicotracker_settings',
+    PRODUCTS: 'nicotracker_products',
+    PRESETS: 'nicotracker_presets',
+    CHOICES: 'nicotracker_choices',
+    SCHEMA_VERSION: 'nicotracker_schema_version',
+    LOCK: 'nicotracker_lock'
+};
+
+// Version of calculateEstimatedMg stored on each log as formulaVersion:
+// 1 = fixed 200 puffs/ml with full absorption, 2 = user dose calibration
+const ESTIMATE_FORMULA_VERSION = 2;
+
+// Time in mouth after which a pouch is treated as fully extracted (to snusRetention)
+const SNUS_FULL_EXTRACTION_MINUTES = 60;
+
+// Editable lists the wizard offers; logs store the IDs of the chosen items
+const CHOICE_LISTS = {
+    HEALTH_EFFECTS: 'healthEffects',
+    REASONS: 'reasons'
+};
+
+// Built-in effects and reasons. Their IDs are fixed so entries logged before
+// the lists became editable (which stored these names) can be linked to them.
+const DEFAULT_CHOICES = {
+    healthEffects: [
+        { id: 'effect-reduced-stress', name: 'Reduced stress' },
+        { id: 'effect-dizziness', name: 'Dizziness' },
+        { id: 'effect-better-focus', name: 'Better focus' },
+        { id: 'effect-nausea', name: 'Nausea' },
+        { id: 'effect-alertness', name: 'Alertness' },
+        { id: 'effect-headache', name: 'Headache' },
+        { id: 'effect-none', name: 'No noticeable effect' }
+    ],
+    reasons: [
+        { id: 'reason-habit', name: 'Just woke up / habit' },
+        { id: 'reason-stress', name: 'Stress' },
+        { id: 'reason-focus', name: 'Studying / focus' },
+        { id: 'reason-social', name: 'Partying / social' },
+        { id: 'reason-boredom', name: 'Boredom' }
+    ]
 };
 
 const DEFAULT_SETTINGS = {
     dailyMgLimit: 40,
     dailyEventLimit: 5,
     morningLimitEnabled: false,
-    timezoneOffsetMinutes: new Date().getTimezoneOffset()
+    // Morning window [start, end) in local hours and the mg allowed within it
+    morningStartHour: 5,
+    morningEndHour: 12,
+    morningMgLimit: 5,
+    // Elimination half-lives used by the body level model (pharmacokinetics.js)
+    nicotineHalfLifeMinutes: 120,
+    cotinineHalfLifeHours: 16,
+    // Dose calibration used by calculateEstimatedMg (defaults match the original estimate)
+    vapePuffsPerMl: 200,
+    vapeAbsorbedFraction: 1,
+    cigaretteAbsorbedFraction: 1,
+    snusRetention: 1,
+    snusMinutesInMouth: SNUS_FULL_EXTRACTION_MINUTES,
+    // Minutes as returned by Date#getTimezoneOffset; null follows the device (incl. DST)
+    timezoneOffsetMinutes: null,
+    // Local hour at which a tracking day rolls over (0 = midnight)
+    dayStartHour: 0,
+    // Minutes of inactivity before the app lock engages (0 = never)
+    autoLockMinutes: 5,
+    // Reminders to check in, in minutes after each intake (see reminders.js)
+    checkInRemindersEnabled: false,
+    checkInReminderMinutes: [20, 60],
+    // Reduction plan whose per-day limit replaces dailyMgLimit (see taper.js)
+    taperPlan: null,
+    // Abstinence since a quit date replaces the logging streak (see quit.js)
+    quitMode: null,
+    // Shown before amounts of money (product prices, money saved)
+    currencySymbol: '$',
+    // Streak goal on the dashboard card: 'auto' or a key of STREAK_GOALS (see streaks.js)
+    dashboardStreak: 'auto',
+    // Hour from which a first intake counts as delayed
+    firstUseGoalHour: 10
 };
 
+// Log writes made since the page loaded, each as the earliest tracking day it
+// touched ('' when it may have touched any day). Caches built from stored logs
+// compare counts to tell whether, and from which day, they are out of date.
+const logChanges = [];
+
 /**
- * Load all nicotine logs from localStorage
- * @returns {Array} Array of log objects
+ * Load all nicotine logs from IndexedDB
+ * While the app lock is on they come from the copy decrypted on unlock.
+ * @returns {Promise<Array>} Array of log objects
  */
-function loadLogs() {
+async function loadLogs() {
     try {
-        const logsJson = localStorage.getItem(STORAGE_KEYS.LOGS);
-        if (!logsJson) return [];
-        return JSON.parse(logsJson);
+        if (isLockEnabled()) {
+            return getUnlockedLogs();
+        }
+        const records = await loadStoredRecords();
+        return await Promise.all(records.map(record => openRecord(record)));
     } catch (error) {
         console.error('Error loading logs:', error);
         return [];
@@ -31,61 +112,284 @@ function loadLogs() {
 }
 
 /**
- * Save all nicotine logs to localStorage
+ * Load log records as stored (encrypted while the app lock is on)
+ * @returns {Promise<Array>} Stored records
+ */
+function loadStoredRecords() {
+    return withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+        promisifyRequest(transaction.objectStore(DB_STORES.LOGS).getAll())
+    );
+}
+
+/**
+ * Encrypt logs for storage when the app lock is on
+ * @param {Array} logs - Log objects (or records that are already sealed)
+ * @returns {Promise<Array>} Records to store
+ */
+function sealLogs(logs) {
+    return Promise.all(logs.map(log => sealStoredLog(log)));
+}
+
+/**
+ * Replace all stored logs
  * @param {Array} logs - Array of log objects to save
+ * @returns {Promise<void>}
+ */
+async function saveLogs(logs) {
+    try {
+        forgetStoredRecordKeys();
+        const records = await sealLogs(logs);
+        await withTransaction(DB_STORES.LOGS, 'readwrite', transaction => {
+            const store = transaction.objectStore(DB_STORES.LOGS);
+            store.clear();
+            records.forEach(record => store.put(record));
+        });
+        // Records that came sealed (e.g. from a snapshot) are only known by their contents
+        if (logs.some(log => log.sealed)) {
+            await indexSealedRecords();
+        } else {
+            rememberUnlockedLogs(logs);
+        }
+        noteLogChange('');
+    } catch (error) {
+        console.error('Error saving logs:', error);
+        throw new Error('Failed to save logs');
+    }
+}
+
+/**
+ * Write changed logs in one transaction, leaving the rest untouched
+ * @param {Array} logs - Log objects to insert or overwrite
+ * @returns {Promise<void>}
  */
-function saveLogs(logs) {
+async function putLogs(logs) {
+    if (logs.length === 0) return;
     try {
-        localStorage.setItem(STORAGE_KEYS.LOGS, JSON.stringify(logs));
+        const records = await sealLogs(logs);
+        await withTransaction(DB_STORES.LOGS, 'readwrite', transaction => {
+            const store = transaction.objectStore(DB_STORES.LOGS);
+            records.forEach(record => store.put(record));
+        });
+        rememberUnlockedLogs(logs.filter(log => !log.sealed));
+        // Sealed records carry no date, so they count as touching any day
+        noteLogChange(logs.reduce((earliest, log) => {
+            const date = log.date || '';
+            return date < earliest ? date : earliest;
+        }, logs[0].date || ''));
     } catch (error) {
         console.error('Error saving logs:', error);
         throw new Error('Failed to save logs');
     }
 }
 
+/**
+ * Record that logs from a tracking day onwards were written
+ * @param {string} date - Earliest tracking day touched ('' for any day)
+ */
+function noteLogChange(date) {
+    logChanges.push(date);
+}
+
+/**
+ * Number of log writes so far, to compare with getEarliestLogChange later
+ * @returns {number} Write count
+ */
+function getLogRevision() {
+    return logChanges.length;
+}
+
+/**
+ * Earliest tracking day touched by the log writes made after a revision
+ * @param {number} revision - Result of an earlier getLogRevision
+ * @returns {string|null} Date key ('' for any day), or null when nothing was written
+ */
+function getEarliestLogChange(revision) {
+    return logChanges.slice(revision).reduce((earliest, date) =>
+        earliest === null || date < earliest ? date : earliest, null);
+}
+
+/**
+ * Look up a single log
+ * @param {string} logId - ID of log
+ * @returns {Promise<Object|null>} Log or null
+ */
+async function getLogById(logId) {
+    if (isLockEnabled()) {
+        return getUnlockedLog(logId);
+    }
+    const record = await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+        promisifyRequest(transaction.objectStore(DB_STORES.LOGS).get(logId))
+    );
+    return record ? openRecord(record) : null;
+}
+
 /**
  * Add a new log entry
- * @param {Object} logData - Log object to add
- * @returns {Object} The saved log with generated ID
+ * @param {Object} logData - Log object to add (may carry a backdated timestamp)
+ * @returns {Promise<Object>} The saved log with generated ID
  */
-function addLog(logData) {
-    const logs = loadLogs();
+async function addLog(logData) {
     const newLog = {
         ...logData,
         id: generateId(),
-        timestamp: new Date().toISOString()
+        timestamp: logData.timestamp || new Date().toISOString()
     };
-    logs.push(newLog);
-    saveLogs(logs);
+    await putLogs([newLog]);
     return newLog;
 }
 
 /**
  * Update an existing log entry
+ * Check-ins linked to an intake that stops being one are unlinked, as on delete.
  * @param {string} logId - ID of log to update
  * @param {Object} updates - Partial log object with fields to update
+ * @returns {Promise<Object>} The updated log
  */
-function updateLog(logId, updates) {
-    const logs = loadLogs();
-    const index = logs.findIndex(log => log.id === logId);
-    if (index === -1) {
+async function updateLog(logId, updates) {
+    // Read and write separately: decrypting inside the transaction would let it commit early
+    const log = await getLogById(logId);
+    if (!log) {
         throw new Error('Log not found');
     }
-    logs[index] = { ...logs[index], ...updates };
-    saveLogs(logs);
-    return logs[index];
+    const updated = { ...log, ...updates, id: log.id };
+    await putLogs([updated]);
+    // A new timestamp moves the log off its old day too
+    noteLogChange(log.date);
+    if (isIntakeLog(log) && !isIntakeLog(updated)) {
+        await unlinkCheckIns(logId);
+    }
+    return updated;
 }
 
 /**
- * Get the most recent log entry for today
- * @returns {Object|null} Most recent log or null
+ * Delete a log entry
+ * Check-ins linked to a deleted intake are kept but no longer point at it.
+ * @param {string} logId - ID of log to delete
+ * @returns {Promise<Object>} The removed log
  */
-function getMostRecentLogToday() {
-    const logs = loadLogs();
-    const today = new Date().toISOString().split('T')[0];
-    const todayLogs = logs.filter(log => log.date === today);
-    if (todayLogs.length === 0) return null;
-    return todayLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+async function deleteLog(logId) {
+    const log = await getLogById(logId);
+    if (!log) {
+        throw new Error('Log not found');
+    }
+    const recordKey = getStoredRecordKey(logId);
+    await withTransaction(DB_STORES.LOGS, 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.LOGS).delete(recordKey);
+    });
+    forgetStoredRecordKey(logId);
+    noteLogChange(log.date);
+    if (isIntakeLog(log)) {
+        await unlinkCheckIns(logId);
+    }
+    return log;
+}
+
+/**
+ * Keep the check-ins linked to an intake but stop them pointing at it
+ * @param {string} intakeId - ID of the intake
+ * @returns {Promise<void>}
+ */
+async function unlinkCheckIns(intakeId) {
+    const checkIns = await getCheckInsForIntake(intakeId);
+    await putLogs(checkIns.map(checkIn => ({ ...checkIn, intakeId: null })));
+}
+
+/**
+ * Whether a log records nicotine intake (as opposed to a check-in or craving)
+ * @param {Object} log - Log object
+ * @returns {boolean} True for intake events
+ */
+function isIntakeLog(log) {
+    return log.source !== 'None' && !isCravingLog(log);
+}
+
+/**
+ * Whether a log records a craving (an urge, resisted or not) rather than intake
+ * @param {Object} log - Log object
+ * @returns {boolean} True for craving entries
+ */
+function isCravingLog(log) {
+    return log.source === 'Craving';
+}
+
+/**
+ * Whether a log is a cognitive check-in (focus, anxiety and clarity without intake)
+ * @param {Object} log - Log object
+ * @returns {boolean} True for check-ins
+ */
+function isCheckInLog(log) {
+    return log.source === 'None';
+}
+
+/**
+ * Whether an intake still carries check-in values on itself
+ * Before check-ins were separate records they were written onto the day's
+ * latest log, together with their notes.
+ * @param {Object} log - Log object
+ * @returns {boolean} True when the values should be moved to a check-in
+ */
+function hasEmbeddedCheckIn(log) {
+    return isIntakeLog(log) &&
+        [log.focusLevel, log.anxietyLevel, log.clearThinking].some(value => value !== null && value !== undefined);
+}
+
+/**
+ * Move check-in values embedded in an intake to a check-in linked to it
+ * The check-in gets an ID derived from the intake so repeating the split
+ * (e.g. importing an old export again) yields the same record.
+ * @param {Object} log - Intake with embedded check-in values
+ * @returns {Array<Object>} [intake without the values, linked check-in]
+ */
+function splitEmbeddedCheckIn(log) {
+    const checkIn = {
+        id: `${log.id}-checkin`,
+        timestamp: log.timestamp,
+        date: log.date,
+        timeOfDay: log.timeOfDay,
+        source: 'None',
+        unitType: 'other',
+        amount: 0,
+        estimatedMg: 0,
+        reason: 'Cognitive check-in only',
+        healthEffects: [],
+        focusLevel: log.focusLevel === undefined ? null : log.focusLevel,
+        anxietyLevel: log.anxietyLevel === undefined ? null : log.anxietyLevel,
+        clearThinking: log.clearThinking === undefined ? null : log.clearThinking,
+        notes: log.notes || null,
+        intakeId: log.id
+    };
+    const intake = {
+        ...log,
+        focusLevel: null,
+        anxietyLevel: null,
+        clearThinking: null,
+        notes: null
+    };
+    return [intake, checkIn];
+}
+
+/**
+ * Get the most recent intake (ignoring check-in only records), on any day
+ * @returns {Promise<Object|null>} Most recent intake log or null
+ */
+async function getMostRecentIntakeLog() {
+    const logs = await getLogsByIndex('timestamp');
+    for (let i = logs.length - 1; i >= 0; i--) {
+        if (isIntakeLog(logs[i])) return logs[i];
+    }
+    return null;
+}
+
+/**
+ * Get the check-ins linked to an intake, oldest first
+ * @param {string} intakeId - ID of the intake
+ * @returns {Promise<Array>} Check-in logs
+ */
+async function getCheckInsForIntake(intakeId) {
+    const checkIns = await getLogsBySource('None');
+    return checkIns
+        .filter(log => log.intakeId === intakeId)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
 
 /**
@@ -94,7 +398,7 @@ function getMostRecentLogToday() {
  */
 function loadSettings() {
     try {
-        const settingsJson = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+        const settingsJson = readProtectedItem(STORAGE_KEYS.SETTINGS);
         if (!settingsJson) {
             return { ...DEFAULT_SETTINGS };
         }
@@ -111,37 +415,382 @@ function loadSettings() {
  */
 function saveSettings(settings) {
     try {
-        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+        writeProtectedItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
     } catch (error) {
         console.error('Error saving settings:', error);
         throw new Error('Failed to save settings');
     }
 }
 
+/**
+ * Load the product catalog from localStorage
+ * @returns {Array} Array of product objects (including archived ones)
+ */
+function loadProducts() {
+    try {
+        const productsJson = readProtectedItem(STORAGE_KEYS.PRODUCTS);
+        if (!productsJson) return [];
+        return JSON.parse(productsJson);
+    } catch (error) {
+        console.error('Error loading products:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the product catalog to localStorage
+ * @param {Array} products - Array of product objects to save
+ */
+function saveProducts(products) {
+    try {
+        writeProtectedItem(STORAGE_KEYS.PRODUCTS, JSON.stringify(products));
+    } catch (error) {
+        console.error('Error saving products:', error);
+        throw new Error('Failed to save products');
+    }
+}
+
+/**
+ * Add a product to the catalog
+ * @param {Object} productData - { name, source, strength, unitType, unitSize, packPrice, packSize }
+ * @returns {Object} The saved product with generated ID
+ */
+function addProduct(productData) {
+    const products = loadProducts();
+    const newProduct = {
+        ...productData,
+        id: generateId(),
+        archived: false
+    };
+    products.push(newProduct);
+    saveProducts(products);
+    return newProduct;
+}
+
+/**
+ * Archive a product so it is no longer offered, while logs keep resolving its name
+ * @param {string} productId - ID of product to archive
+ */
+function archiveProduct(productId) {
+    const products = loadProducts();
+    const product = products.find(p => p.id === productId);
+    if (!product) {
+        throw new Error('Product not found');
+    }
+    product.archived = true;
+    saveProducts(products);
+}
+
+/**
+ * Set what a pack of a product costs
+ * @param {string} productId - ID of the product
+ * @param {number|null} packPrice - Price of one pack (null to clear)
+ * @param {number|null} packSize - Units in a pack, in the product's unitType
+ */
+function setProductPrice(productId, packPrice, packSize) {
+    const products = loadProducts();
+    const product = products.find(p => p.id === productId);
+    if (!product) {
+        throw new Error('Product not found');
+    }
+    product.packPrice = packPrice;
+    product.packSize = packPrice === null ? null : packSize;
+    saveProducts(products);
+}
+
+/**
+ * Get active (non-archived) products
+ * @returns {Array} Array of product objects
+ */
+function getActiveProducts() {
+    return loadProducts().filter(product => !product.archived);
+}
+
+/**
+ * Load the quick-log presets from localStorage
+ * @returns {Array} Array of preset objects in button order
+ */
+function loadPresets() {
+    try {
+        const presetsJson = readProtectedItem(STORAGE_KEYS.PRESETS);
+        if (!presetsJson) return [];
+        return JSON.parse(presetsJson);
+    } catch (error) {
+        console.error('Error loading presets:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the quick-log presets to localStorage
+ * @param {Array} presets - Array of preset objects to save
+ */
+function savePresets(presets) {
+    try {
+        writeProtectedItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Error saving presets:', error);
+        throw new Error('Failed to save presets');
+    }
+}
+
+/**
+ * Add a quick-log preset after the existing ones
+ * @param {Object} presetData - { name, source, productId, unitType, unitSize, amount, strength, reason, healthEffects }
+ * @returns {Object} The saved preset with generated ID
+ */
+function addPreset(presetData) {
+    const presets = loadPresets();
+    const newPreset = {
+        ...presetData,
+        id: generateId()
+    };
+    presets.push(newPreset);
+    savePresets(presets);
+    return newPreset;
+}
+
+/**
+ * Delete a quick-log preset (logs made from it are not affected)
+ * @param {string} presetId - ID of preset to delete
+ */
+function deletePreset(presetId) {
+    savePresets(loadPresets().filter(preset => preset.id !== presetId));
+}
+
+/**
+ * Move a quick-log preset one place earlier or later
+ * @param {string} presetId - ID of preset to move
+ * @param {number} direction - -1 for earlier, 1 for later
+ */
+function movePreset(presetId, direction) {
+    const presets = loadPresets();
+    const index = presets.findIndex(preset => preset.id === presetId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= presets.length) return;
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+    savePresets(presets);
+}
+
+/**
+ * Load the health effect and reason lists from localStorage
+ * Lists that were never edited are the built-in ones.
+ * @returns {Object} { healthEffects, reasons } arrays of { id, name, archived } in display order
+ */
+function loadChoices() {
+    let stored = {};
+    try {
+        const choicesJson = readProtectedItem(STORAGE_KEYS.CHOICES);
+        if (choicesJson) stored = JSON.parse(choicesJson);
+    } catch (error) {
+        console.error('Error loading effects and reasons:', error);
+    }
+    const choices = {};
+    Object.values(CHOICE_LISTS).forEach(list => {
+        choices[list] = Array.isArray(stored[list])
+            ? stored[list]
+            : DEFAULT_CHOICES[list].map(item => ({ ...item, archived: false }));
+    });
+    return choices;
+}
+
+/**
+ * Save the health effect and reason lists to localStorage
+ * @param {Object} choices - { healthEffects, reasons } as returned by loadChoices
+ */
+function saveChoices(choices) {
+    try {
+        writeProtectedItem(STORAGE_KEYS.CHOICES, JSON.stringify(choices));
+    } catch (error) {
+        console.error('Error saving effects and reasons:', error);
+        throw new Error('Failed to save effects and reasons');
+    }
+}
+
+/**
+ * Get the items of one list
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {boolean} [includeArchived=false] - Also return archived items
+ * @returns {Array} Items in display order
+ */
+function getChoices(list, includeArchived = false) {
+    return loadChoices()[list].filter(item => includeArchived || !item.archived);
+}
+
+/**
+ * Check a new name for an item against the active items of its list
+ * @param {Array} items - Items of the list
+ * @param {string} name - Trimmed name
+ * @param {string} [exceptId] - Item being renamed
+ */
+function assertChoiceName(items, name, exceptId = null) {
+    if (!name) {
+        throw new Error('Please enter a name');
+    }
+    const lower = name.toLowerCase();
+    if (items.some(item => !item.archived && item.id !== exceptId && item.name.toLowerCase() === lower)) {
+        throw new Error(`"${name}" is already in the list`);
+    }
+}
+
+/**
+ * Add an item at the end of a list
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} name - Name shown in the wizard
+ * @returns {Object} The saved item with generated ID
+ */
+function addChoice(list, name) {
+    const choices = loadChoices();
+    const trimmed = name.trim();
+    assertChoiceName(choices[list], trimmed);
+    const item = { id: generateId(), name: trimmed, archived: false };
+    choices[list].push(item);
+    saveChoices(choices);
+    return item;
+}
+
+/**
+ * Rename an item; logs refer to it by ID, so they show the new name
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} itemId - ID of the item
+ * @param {string} name - New name
+ */
+function renameChoice(list, itemId, name) {
+    const choices = loadChoices();
+    const item = choices[list].find(i => i.id === itemId);
+    if (!item) {
+        throw new Error('Item not found');
+    }
+    const trimmed = name.trim();
+    assertChoiceName(choices[list], trimmed, itemId);
+    item.name = trimmed;
+    saveChoices(choices);
+}
+
+/**
+ * Archive an item so the wizard no longer offers it, or bring it back
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} itemId - ID of the item
+ * @param {boolean} archived - New state
+ */
+function setChoiceArchived(list, itemId, archived) {
+    const choices = loadChoices();
+    const item = choices[list].find(i => i.id === itemId);
+    if (!item) {
+        throw new Error('Item not found');
+    }
+    if (!archived) {
+        assertChoiceName(choices[list], item.name, itemId);
+    }
+    item.archived = archived;
+    saveChoices(choices);
+}
+
+/**
+ * Move an item one place earlier or later among the active items of its list
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} itemId - ID of the item
+ * @param {number} direction - -1 for earlier, 1 for later
+ */
+function moveChoice(list, itemId, direction) {
+    const choices = loadChoices();
+    const items = choices[list];
+    const index = items.findIndex(item => item.id === itemId);
+    if (index === -1) return;
+    let target = index + direction;
+    while (target >= 0 && target < items.length && items[target].archived) {
+        target += direction;
+    }
+    if (target < 0 || target >= items.length) return;
+    [items[index], items[target]] = [items[target], items[index]];
+    saveChoices(choices);
+}
+
+/**
+ * Display name for a stored effect or reason
+ * Values that are not item IDs (reasons typed under "Other", or names from
+ * files that could not be linked) are shown as they are.
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} value - Item ID or free text
+ * @param {Object} [choices] - Lists to look in (loaded if omitted)
+ * @returns {string} Name
+ */
+function getChoiceName(list, value, choices = loadChoices()) {
+    const item = choices[list].find(i => i.id === value);
+    return item ? item.name : value;
+}
+
+/**
+ * Turn a stored effect or reason into an item ID where one matches
+ * Accepts IDs, current names and the built-in names (so renamed built-ins
+ * still link); anything else is returned unchanged as free text.
+ * @param {string} list - One of CHOICE_LISTS
+ * @param {string} value - Item ID, name or free text
+ * @param {Object} [choices] - Lists to look in (loaded if omitted)
+ * @returns {string} Item ID or the original value
+ */
+function resolveChoiceId(list, value, choices = loadChoices()) {
+    if (typeof value !== 'string') return value;
+    const items = choices[list];
+    if (items.some(item => item.id === value)) return value;
+    const lower = value.trim().toLowerCase();
+    const match = items.find(item => !item.archived && item.name.toLowerCase() === lower) ||
+        items.find(item => item.name.toLowerCase() === lower) ||
+        DEFAULT_CHOICES[list].find(item => item.name.toLowerCase() === lower);
+    return match ? match.id : value;
+}
+
+/**
+ * Link the effects, reason and trigger of a log or preset to item IDs
+ * @param {Object} entry - Log or preset
+ * @param {Object} [choices] - Lists to look in (loaded if omitted)
+ * @returns {Object} Copy of the entry with IDs where they could be found
+ */
+function linkChoiceIds(entry, choices = loadChoices()) {
+    const linked = { ...entry };
+    if (Array.isArray(entry.healthEffects)) {
+        linked.healthEffects = entry.healthEffects.map(effect =>
+            resolveChoiceId(CHOICE_LISTS.HEALTH_EFFECTS, effect, choices)
+        );
+    }
+    if (typeof entry.reason === 'string') {
+        linked.reason = resolveChoiceId(CHOICE_LISTS.REASONS, entry.reason, choices);
+    }
+    // Craving triggers come from the reason list too
+    if (typeof entry.trigger === 'string') {
+        linked.trigger = resolveChoiceId(CHOICE_LISTS.REASONS, entry.trigger, choices);
+    }
+    return linked;
+}
+
 /**
  * Export all data (logs + settings) as JSON file
+ * @param {string} passphrase - Encrypt the file with this passphrase (optional)
+ * @returns {Promise<boolean>} True once the download has started
  */
-function exportData() {
+async function exportData(passphrase = null) {
     try {
-        const logs = loadLogs();
+        const logs = await loadLogs();
         const settings = loadSettings();
         const exportData = {
             version: '1.0',
+            schemaVersion: SCHEMA_VERSION,
             exportDate: new Date().toISOString(),
             logs,
-            settings
+            settings,
+            products: loadProducts(),
+            presets: loadPresets(),
+            choices: loadChoices()
         };
         
+        if (passphrase) {
+            const encrypted = await encryptJson(exportData, passphrase);
+            downloadFile(JSON.stringify(encrypted, null, 2), `nicotracker-backup-${getTodayKey()}.json`, 'application/json');
+            return true;
+        }
+        
         const dataStr = JSON.stringify(exportData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `nicotracker-export-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        downloadFile(dataStr, `nicotracker-export-${getTodayKey()}.json`, 'application/json');
         
         return true;
     } catch (error) {
@@ -151,57 +800,285 @@ function exportData() {
 }
 
 /**
- * Import data from JSON file
+ * Offer text content to the user as a file download
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and structurally check an exported JSON file
+ * Encrypted backups are decrypted first, asking again after a wrong passphrase.
  * @param {File} file - JSON file to import
- * @returns {Promise<Object>} Result object with success status and message
- */
-function importData(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importedData = JSON.parse(e.target.result);
-                
-                // Validate structure
-                if (!importedData.logs || !Array.isArray(importedData.logs)) {
-                    throw new Error('Invalid file format: missing logs array');
-                }
-                
-                // Merge logs (avoid duplicates by ID)
-                const existingLogs = loadLogs();
-                const existingIds = new Set(existingLogs.map(log => log.id));
-                const newLogs = importedData.logs.filter(log => !existingIds.has(log.id));
-                const mergedLogs = [...existingLogs, ...newLogs];
-                saveLogs(mergedLogs);
-                
-                // Merge settings if provided
-                if (importedData.settings) {
-                    const currentSettings = loadSettings();
-                    const mergedSettings = { ...currentSettings, ...importedData.settings };
-                    saveSettings(mergedSettings);
-                }
-                
-                resolve({
-                    success: true,
-                    message: `Imported ${newLogs.length} new log entries`
-                });
-            } catch (error) {
-                reject({
-                    success: false,
-                    message: error.message || 'Failed to import data'
-                });
+ * @param {Function} getPassphrase - Called with the previous error message (or '');
+ *   resolves to the passphrase, or null to cancel
+ * @returns {Promise<Object|null>} Parsed file contents, null if cancelled
+ */
+async function readImportFile(file, getPassphrase) {
+    let importedData;
+    try {
+        importedData = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+    
+    if (isEncryptedFile(importedData)) {
+        const decrypted = await decryptWithPassphrasePrompt(importedData, getPassphrase);
+        if (!decrypted) return null;
+        importedData = decrypted.data;
+    }
+    
+    if (!importedData || !Array.isArray(importedData.logs)) {
+        throw new Error('Invalid file format: missing logs array');
+    }
+    if (importedData.schemaVersion > SCHEMA_VERSION) {
+        throw new Error('This file was created by a newer version of NicoTracker');
+    }
+    return importedData;
+}
+
+/**
+ * Keep asking until the passphrase opens the encrypted file or the user cancels
+ * @param {Object} envelope - Encrypted file contents
+ * @param {Function} getPassphrase - See readImportFile
+ * @returns {Promise<Object|null>} { data } with the decrypted contents, null if cancelled
+ */
+async function decryptWithPassphrasePrompt(envelope, getPassphrase) {
+    let lastError = '';
+    for (;;) {
+        const passphrase = await getPassphrase(lastError);
+        if (passphrase === null) return null;
+        try {
+            return { data: await decryptJson(envelope, passphrase) };
+        } catch (error) {
+            if (error.code !== CRYPTO_ERRORS.WRONG_PASSPHRASE) throw error;
+            lastError = error.message;
+        }
+    }
+}
+
+/**
+ * Fields of two logs whose values differ
+ * @param {Object} a - Log object
+ * @param {Object} b - Log object
+ * @returns {Array<string>} Field names
+ */
+function diffLogFields(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    // A missing field and an empty (null) one count as the same
+    const serialize = value => JSON.stringify(value === undefined ? null : value);
+    return Array.from(keys).filter(key => serialize(a[key]) !== serialize(b[key]));
+}
+
+/**
+ * Dry run of an import: classify every record without writing anything
+ * @param {Object} importedData - Parsed file from readImportFile
+ * @returns {Promise<Object>} Plan with added, changed, unchanged and invalid logs,
+ *   valid products, presets, effects and reasons, and the settings that would change
+ */
+async function planImport(importedData) {
+    const settings = loadSettings();
+    const existing = new Map((await loadLogs()).map(log => [log.id, log]));
+    const plan = {
+        exportDate: importedData.exportDate || null,
+        existingCount: existing.size,
+        added: [],
+        changed: [],
+        unchanged: [],
+        invalid: [],
+        products: [],
+        presets: [],
+        choices: null,
+        settings: null,
+        settingsChanges: []
+    };
+    
+    const seenIds = new Set();
+    importedData.logs.forEach((raw, index) => {
+        const errors = validateLog(raw);
+        const id = raw && raw.id !== undefined ? String(raw.id) : null;
+        if (errors.length === 0 && seenIds.has(id)) {
+            errors.push('appears more than once in the file');
+        }
+        if (errors.length > 0) {
+            plan.invalid.push({ index: index + 1, id, errors });
+            return;
+        }
+        seenIds.add(id);
+        
+        // Files from before check-ins were separate records carry them on intakes
+        const normalized = normalizeLog(raw, settings);
+        const records = hasEmbeddedCheckIn(normalized) ? splitEmbeddedCheckIn(normalized) : [normalized];
+        records.forEach(theirs => {
+            const mine = existing.get(theirs.id);
+            if (!mine) {
+                plan.added.push(theirs);
+                return;
             }
-        };
-        reader.onerror = () => {
-            reject({
-                success: false,
-                message: 'Failed to read file'
+            const fields = diffLogFields(normalizeLog(mine, settings), theirs);
+            if (fields.length === 0) {
+                plan.unchanged.push(theirs);
+            } else {
+                plan.changed.push({ mine, theirs, fields });
+            }
+        });
+    });
+    
+    if (Array.isArray(importedData.products)) {
+        plan.products = importedData.products.filter(product =>
+            product && product.id && typeof product.name === 'string' && LOG_SOURCES.includes(product.source)
+        );
+    }
+    if (Array.isArray(importedData.presets)) {
+        plan.presets = importedData.presets.filter(preset =>
+            preset && preset.id && typeof preset.name === 'string' && LOG_SOURCES.includes(preset.source)
+        ).map(preset => linkChoiceIds(preset));
+    }
+    if (importedData.choices && typeof importedData.choices === 'object') {
+        plan.choices = {};
+        Object.values(CHOICE_LISTS).forEach(list => {
+            const items = Array.isArray(importedData.choices[list]) ? importedData.choices[list] : [];
+            plan.choices[list] = items
+                .filter(item => item && item.id && typeof item.name === 'string' && item.name.trim())
+                .map(item => ({ id: String(item.id), name: item.name.trim(), archived: item.archived === true }));
+        });
+    }
+    
+    if (importedData.settings && typeof importedData.settings === 'object') {
+        plan.settings = normalizeSettings({ ...settings, ...importedData.settings });
+        plan.settingsChanges = Object.keys(DEFAULT_SETTINGS)
+            .filter(key => key in importedData.settings &&
+                JSON.stringify(plan.settings[key]) !== JSON.stringify(settings[key]))
+            .map(key => ({ key, mine: settings[key], theirs: plan.settings[key] }));
+    }
+    
+    return plan;
+}
+
+/**
+ * Write an import plan, keeping a snapshot so it can be undone
+ * @param {Object} plan - Plan from planImport
+ * @param {Object} options - How to apply the plan
+ * @param {boolean} [options.replace=false] - Replace all logs, products, presets, effects and reasons with the file's
+ * @param {Set<string>} [options.takeTheirs] - IDs of changed logs to overwrite with the file's version
+ * @param {boolean} [options.applySettings=false] - Also take the file's settings
+ * @returns {Promise<Object>} { written } number of logs written
+ */
+async function applyImport(plan, { replace = false, takeTheirs = new Set(), applySettings = false } = {}) {
+    await saveImportSnapshot();
+    
+    let written;
+    if (replace) {
+        const logs = [...plan.added, ...plan.changed.map(conflict => conflict.theirs), ...plan.unchanged];
+        await saveLogs(logs);
+        saveProducts(plan.products.map(product => ({ archived: false, ...product })));
+        savePresets(plan.presets);
+        if (plan.choices) {
+            saveChoices(plan.choices);
+        }
+        written = logs.length;
+    } else {
+        const logs = [
+            ...plan.added,
+            ...plan.changed.filter(conflict => takeTheirs.has(conflict.theirs.id)).map(conflict => conflict.theirs)
+        ];
+        await putLogs(logs);
+        const existingProducts = loadProducts();
+        const productIds = new Set(existingProducts.map(product => product.id));
+        const newProducts = plan.products.filter(product => !productIds.has(product.id));
+        saveProducts([...existingProducts, ...newProducts]);
+        const existingPresets = loadPresets();
+        const presetIds = new Set(existingPresets.map(preset => preset.id));
+        savePresets([...existingPresets, ...plan.presets.filter(preset => !presetIds.has(preset.id))]);
+        if (plan.choices) {
+            const choices = loadChoices();
+            Object.values(CHOICE_LISTS).forEach(list => {
+                const itemIds = new Set(choices[list].map(item => item.id));
+                choices[list].push(...plan.choices[list].filter(item => !itemIds.has(item.id)));
             });
-        };
-        reader.readAsText(file);
+            saveChoices(choices);
+        }
+        written = logs.length;
+    }
+    
+    if (applySettings && plan.settings) {
+        saveSettings(plan.settings);
+        // Imported logs were dated with the old settings
+        await rederiveLogDates();
+    }
+    
+    return { written };
+}
+
+/**
+ * Keep a copy of all logs, settings, products, presets, effects and reasons from before an import
+ * The copy is taken as stored, so it stays encrypted under the app lock.
+ * @returns {Promise<void>}
+ */
+async function saveImportSnapshot() {
+    await flushProtectedWrites();
+    const snapshot = {
+        createdAt: new Date().toISOString(),
+        logs: await loadStoredRecords(),
+        settings: localStorage.getItem(STORAGE_KEYS.SETTINGS),
+        products: localStorage.getItem(STORAGE_KEYS.PRODUCTS),
+        presets: localStorage.getItem(STORAGE_KEYS.PRESETS),
+        choices: localStorage.getItem(STORAGE_KEYS.CHOICES)
+    };
+    await withTransaction(DB_STORES.META, 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.META).put(snapshot, 'lastImport');
     });
 }
 
+/**
+ * Load the snapshot taken before the last import
+ * @returns {Promise<Object|null>} Snapshot or null when there is nothing to undo
+ */
+async function loadImportSnapshot() {
+    try {
+        const snapshot = await withTransaction(DB_STORES.META, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.META).get('lastImport'))
+        );
+        return snapshot || null;
+    } catch (error) {
+        console.error('Error loading import snapshot:', error);
+        return null;
+    }
+}
+
+/**
+ * Undo the last import by restoring the snapshot taken before it
+ * @returns {Promise<boolean>} False when there was nothing to undo
+ */
+async function undoLastImport() {
+    const snapshot = await loadImportSnapshot();
+    if (!snapshot) return false;
+    
+    await saveLogs(snapshot.logs);
+    writeProtectedItem(STORAGE_KEYS.SETTINGS, await openItem(snapshot.settings));
+    writeProtectedItem(STORAGE_KEYS.PRODUCTS, await openItem(snapshot.products));
+    writeProtectedItem(STORAGE_KEYS.PRESETS, await openItem(snapshot.presets));
+    // Snapshots taken before effects and reasons were editable leave them as they are
+    if ('choices' in snapshot) {
+        writeProtectedItem(STORAGE_KEYS.CHOICES, await openItem(snapshot.choices));
+    }
+    await withTransaction(DB_STORES.META, 'readwrite', transaction => {
+        transaction.objectStore(DB_STORES.META).delete('lastImport');
+    });
+    return true;
+}
+
 /**
  * Generate a unique ID for log entries
  * @returns {string} Unique ID
@@ -211,12 +1088,126 @@ function generateId() {
 }
 
 /**
- * Get time of day category based on hour
+ * Get the timezone offset to use for a given instant
+ * Uses the offset pinned in settings, falling back to the device offset for that date
  * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {number} Offset in minutes, same sign convention as Date#getTimezoneOffset
+ */
+function getTimezoneOffsetFor(date, settings = loadSettings()) {
+    const offset = settings.timezoneOffsetMinutes;
+    return typeof offset === 'number' ? offset : date.getTimezoneOffset();
+}
+
+/**
+ * Shift a date so that its UTC fields read as the user's local wall-clock time
+ * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {Date} Shifted date (only read it with getUTC* methods)
+ */
+function toLocalWallClock(date, settings = loadSettings()) {
+    return new Date(date.getTime() - getTimezoneOffsetFor(date, settings) * 60000);
+}
+
+/**
+ * Get the tracking day key for an instant
+ * A tracking day follows the local calendar but starts at settings.dayStartHour,
+ * so with dayStartHour = 4 an entry at 01:30 belongs to the previous day.
+ * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function getLocalDateKey(date, settings = loadSettings()) {
+    const dayStartMs = (settings.dayStartHour || 0) * 3600000;
+    const shifted = new Date(toLocalWallClock(date, settings).getTime() - dayStartMs);
+    return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Get today's tracking day key
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function getTodayKey() {
+    return getLocalDateKey(new Date());
+}
+
+/**
+ * Format the local wall-clock time of an instant, e.g. "8:05 PM"
+ * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {string} Formatted time
+ */
+function formatLocalTime(date, settings = loadSettings()) {
+    const local = toLocalWallClock(date, settings);
+    const hours = local.getUTCHours();
+    const minutes = String(local.getUTCMinutes()).padStart(2, '0');
+    return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Move a date key by a number of calendar days
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function shiftDateKey(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Number of calendar days from one date key to another
+ * @param {string} fromKey - Date string in YYYY-MM-DD format
+ * @param {string} toKey - Date string in YYYY-MM-DD format
+ * @returns {number} Days (negative when toKey is earlier)
+ */
+function countDaysBetween(fromKey, toKey) {
+    return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Recompute date and timeOfDay of every log from its timestamp
+ * Needed whenever the rules for local day boundaries change
+ * @returns {Promise<number>} Number of logs whose values changed
+ */
+async function rederiveLogDates() {
+    const logs = await loadLogs();
+    const changed = applyLocalDates(logs, loadSettings());
+    await putLogs(changed);
+    return changed.length;
+}
+
+/**
+ * Set date and timeOfDay of logs in place from their timestamps
+ * @param {Array} logs - Array of log objects
+ * @param {Object} settings - Settings object
+ * @returns {Array} Logs whose values changed
+ */
+function applyLocalDates(logs, settings) {
+    const changed = [];
+    logs.forEach(log => {
+        const when = new Date(log.timestamp);
+        if (isNaN(when.getTime())) return;
+        const date = getLocalDateKey(when, settings);
+        const timeOfDay = getTimeOfDay(when, settings);
+        if (log.date !== date || log.timeOfDay !== timeOfDay) {
+            log.date = date;
+            log.timeOfDay = timeOfDay;
+            changed.push(log);
+        }
+    });
+    return changed;
+}
+
+/**
+ * Get time of day category based on local hour
+ * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
  * @returns {string} Time of day category
  */
-function getTimeOfDay(date) {
-    const hour = date.getHours();
+function getTimeOfDay(date, settings = loadSettings()) {
+    const hour = toLocalWallClock(date, settings).getUTCHours();
     if (hour >= 5 && hour < 12) return 'morning';
     if (hour >= 12 && hour < 17) return 'afternoon';
     if (hour >= 17 && hour < 22) return 'evening';
@@ -224,89 +1215,187 @@ function getTimeOfDay(date) {
 }
 
 /**
- * Calculate estimated mg of nicotine based on source, quantity, and strength
+ * Whether an instant falls inside the configured morning window
+ * @param {Date} date - Date object
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {boolean} True when within [morningStartHour, morningEndHour)
+ */
+function isInMorningWindow(date, settings = loadSettings()) {
+    const hour = toLocalWallClock(date, settings).getUTCHours();
+    return hour >= settings.morningStartHour && hour < settings.morningEndHour;
+}
+
+/**
+ * Total mg taken inside the morning window of a tracking day
+ * @param {Array} logs - Array of log objects
+ * @param {string} date - Tracking day key in YYYY-MM-DD format
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {number} Morning mg
+ */
+function getMorningMg(logs, date, settings = loadSettings()) {
+    return logs
+        .filter(log => log.date === date && isIntakeLog(log))
+        .filter(log => isInMorningWindow(new Date(log.timestamp), settings))
+        .reduce((sum, log) => sum + (log.estimatedMg || 0), 0);
+}
+
+/**
+ * Unit a source's strength is expressed in
+ * @param {string} source - Source type (Vape, Cigarettes, Snus)
+ * @returns {string} 'mg/ml' for vapes, 'mg/piece' otherwise
+ */
+function getStrengthUnit(source) {
+    return source === 'Vape' ? 'mg/ml' : 'mg/piece';
+}
+
+/**
+ * Calculate estimated absorbed mg of nicotine based on source, quantity, and strength
+ * Conversion factors come from the user's calibration settings
  * @param {string} source - Source type (Vape, Cigarettes, Snus)
  * @param {number} quantity - Quantity consumed
  * @param {number} strength - Nicotine strength in mg
+ * @param {string} [unitType] - Vape unit: 'puffs' (default), 'ml' or 'pods'
+ * @param {number} [unitSize] - ml per pod when unitType is 'pods'
+ * @param {Object} [settings] - Settings object (loaded if omitted)
  * @returns {number} Estimated mg of nicotine
  */
-function calculateEstimatedMg(source, quantity, strength) {
+function calculateEstimatedMg(source, quantity, strength, unitType = 'puffs', unitSize = 0, settings = loadSettings()) {
     if (!quantity || quantity <= 0) return 0;
     if (!strength || strength <= 0) return 0;
     
-    // For vape: strength is per ml, assume ~200 puffs per ml
-    // For cigarettes: strength is per cigarette
-    // For snus: strength is per portion
+    // For vape: strength is per ml, puffs are converted with vapePuffsPerMl
+    // For cigarettes: strength is nicotine content per cigarette
+    // For snus: strength is per portion, extraction depends on time in mouth
     
     switch (source) {
-        case 'Vape':
-            // Assume user enters puffs, and strength is mg/ml
-            // Rough estimate: 1 ml = ~200 puffs, so mg per puff = strength / 200
-            return (strength / 200) * quantity;
+        case 'Vape': {
+            let ml = quantity / settings.vapePuffsPerMl;
+            if (unitType === 'ml') {
+                ml = quantity;
+            } else if (unitType === 'pods') {
+                ml = (unitSize || 0) * quantity;
+            }
+            return strength * ml * settings.vapeAbsorbedFraction;
+        }
         case 'Cigarettes':
-            // Strength is mg per cigarette
-            return strength * quantity;
-        case 'Snus':
-            // Strength is mg per portion
-            return strength * quantity;
+            return strength * quantity * settings.cigaretteAbsorbedFraction;
+        case 'Snus': {
+            // Extraction grows with time in mouth until the pouch is spent
+            const extraction = Math.min(1, settings.snusMinutesInMouth / SNUS_FULL_EXTRACTION_MINUTES);
+            return strength * quantity * settings.snusRetention * extraction;
+        }
         default:
             return 0;
     }
 }
 
 /**
- * Get logs for a specific date
- * @param {string} date - Date string in YYYY-MM-DD format
- * @returns {Array} Array of logs for that date
+ * Recompute estimatedMg of every intake log from its stored raw inputs
+ * Amount, strength and units are left untouched; logs without a recorded strength are skipped.
+ * @param {Object} [settings] - Settings object with the calibration to apply (loaded if omitted)
+ * @returns {Promise<Object>} { updated, skipped } counts
+ */
+async function recalculateEstimates(settings = loadSettings()) {
+    const logs = await loadLogs();
+    const updated = [];
+    let skipped = 0;
+    
+    logs.forEach(log => {
+        if (!isIntakeLog(log)) return;
+        if (!log.strength || !log.amount) {
+            skipped++;
+            return;
+        }
+        const estimatedMg = calculateEstimatedMg(
+            log.source,
+            log.amount,
+            log.strength,
+            log.unitType,
+            log.unitSize,
+            settings
+        );
+        if (estimatedMg !== log.estimatedMg || log.formulaVersion !== ESTIMATE_FORMULA_VERSION) {
+            log.estimatedMg = estimatedMg;
+            log.strengthUnit = getStrengthUnit(log.source);
+            log.formulaVersion = ESTIMATE_FORMULA_VERSION;
+            updated.push(log);
+        }
+    });
+    
+    await putLogs(updated);
+    return { updated: updated.length, skipped };
+}
+
+/**
+ * Query a log index
+ * @param {string} indexName - Index name (date, timestamp or source)
+ * @param {IDBKeyRange|string} [query] - Key or key range (all logs if omitted)
+ * @returns {Promise<Array>} Matching logs in index order
+ */
+async function getLogsByIndex(indexName, query) {
+    try {
+        if (isLockEnabled()) {
+            // Sealed records carry no indexed fields, so filter the logs decrypted on unlock
+            return (await loadLogs())
+                .filter(log => matchesIndexQuery(log[indexName], query))
+                .sort((a, b) => indexedDB.cmp(a[indexName], b[indexName]) || indexedDB.cmp(a.id, b.id));
+        }
+        return await withTransaction(DB_STORES.LOGS, 'readonly', transaction =>
+            promisifyRequest(transaction.objectStore(DB_STORES.LOGS).index(indexName).getAll(query))
+        );
+    } catch (error) {
+        console.error(`Error querying logs by ${indexName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Whether an index key satisfies a getLogsByIndex query
+ * @param {*} key - Index key of a log
+ * @param {IDBKeyRange|string} [query] - Key or key range
+ * @returns {boolean} True when the log matches
+ */
+function matchesIndexQuery(key, query) {
+    if (key === undefined || key === null) return false;
+    if (query === undefined || query === null) return true;
+    return query instanceof IDBKeyRange ? query.includes(key) : key === query;
+}
+
+/**
+ * Get logs for a specific tracking day
+ * @param {string} date - Tracking day key in YYYY-MM-DD format (see getLocalDateKey)
+ * @returns {Promise<Array>} Array of logs for that date
  */
 function getLogsByDate(date) {
-    const logs = loadLogs();
-    return logs.filter(log => log.date === date);
+    return getLogsByIndex('date', date);
 }
 
 /**
  * Get all logs within a date range
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Array} Array of logs in the date range
+ * @returns {Promise<Array>} Array of logs in the date range
  */
 function getLogsByDateRange(startDate, endDate) {
-    const logs = loadLogs();
-    return logs.filter(log => {
-        return log.date >= startDate && log.date <= endDate;
-    });
+    return getLogsByIndex('date', IDBKeyRange.bound(startDate, endDate));
 }
 
 /**
- * Calculate streak of consecutive days with at least one log
- * @returns {number} Number of consecutive days
+ * Get logs between two instants, oldest first
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Array>} Array of logs in the time range
  */
-function calculateStreak() {
-    const logs = loadLogs();
-    if (logs.length === 0) return 0;
-    
-    // Get unique dates that have logs
-    const datesWithLogs = new Set(logs.map(log => log.date));
-    const sortedDates = Array.from(datesWithLogs).sort().reverse();
-    
-    if (sortedDates.length === 0) return 0;
-    
-    // Check if today has a log
-    const today = new Date().toISOString().split('T')[0];
-    let streak = 0;
-    let currentDate = new Date(today);
-    
-    // Check backwards from today
-    while (true) {
-        const dateStr = currentDate.toISOString().split('T')[0];
-        if (datesWithLogs.has(dateStr)) {
-            streak++;
-            currentDate.setDate(currentDate.getDate() - 1);
-        } else {
-            break;
-        }
-    }
-    
-    return streak;
+function getLogsByTimeRange(start, end) {
+    return getLogsByIndex('timestamp', IDBKeyRange.bound(start.toISOString(), end.toISOString()));
+}
+
+/**
+ * Get every log for one source
+ * @param {string} source - Source type (Vape, Cigarettes, Snus, None)
+ * @returns {Promise<Array>} Array of logs for that source
+ */
+function getLogsBySource(source) {
+    return getLogsByIndex('source', source);
 }
 
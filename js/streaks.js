@@ -0,0 +1,447 @@
+/**
+ * Streaks and daily goals for NicoTracker
+ * Each goal is checked per tracking day from a summary of that day's logs.
+ * Streaks count consecutive days up to today that met a goal; records are the
+ * longest such run in the whole history, kept from one scan of it so that
+ * refreshes only read recent days. The streak modal lists every goal and
+ * shows a month calendar of which days met which goal. The dashboard card shows
+ * the goal chosen in settings.dashboardStreak ('auto' is the nicotine-free
+ * streak in quit mode and the data streak otherwise).
+ */
+
+// Goals a streak can count, in display order
+const STREAK_GOALS = {
+    logging: { label: 'Data Streak', short: 'Logged' },
+    nicotineFree: { label: 'Nicotine-Free Days', short: 'Nicotine-free' },
+    underMgLimit: { label: 'Under Mg Limit', short: 'Under mg limit' },
+    underEventLimit: { label: 'Under Event Limit', short: 'Under event limit' },
+    delayedFirstUse: { label: 'Delayed First Use', short: 'Delayed first use' },
+    checkIns: { label: 'Check-in Days', short: 'Checked in' }
+};
+
+// Goals met by doing something, so an unmet today does not break the streak yet
+const STREAK_PENDING_GOALS = ['checkIns'];
+
+// Month shown in the streak calendar, as YYYY-MM (null for the current month)
+let streakCalendarMonth = null;
+
+// Records from the last full scan of the history (see loadStreakRecords)
+let streakRecords = null;
+
+/**
+ * Goals that apply with the current settings
+ * @param {Object} settings - Settings object
+ * @returns {Array<string>} Goal keys
+ */
+function getAvailableStreakGoals(settings) {
+    return Object.keys(STREAK_GOALS).filter(goal => goal !== 'nicotineFree' || settings.quitMode);
+}
+
+/**
+ * Goal shown on the dashboard
+ * @param {Object} settings - Settings object
+ * @returns {string} Goal key
+ */
+function getDashboardStreakGoal(settings) {
+    const goal = settings.dashboardStreak;
+    if (goal !== 'auto' && getAvailableStreakGoals(settings).includes(goal)) {
+        return goal;
+    }
+    return settings.quitMode ? 'nicotineFree' : 'logging';
+}
+
+/**
+ * What a goal asks for, e.g. "Days whose first intake came at 10 AM or later"
+ * @param {string} goal - Goal key
+ * @param {Object} settings - Settings object
+ * @returns {string} Description
+ */
+function describeStreakGoal(goal, settings) {
+    switch (goal) {
+        case 'logging':
+            return 'Days with at least one entry';
+        case 'nicotineFree':
+            return 'Days since your quit date without an intake';
+        case 'underMgLimit':
+            return settings.taperPlan ? 'Days within the taper limit of the day' : `Days at or under ${settings.dailyMgLimit} mg`;
+        case 'underEventLimit':
+            return `Days with at most ${settings.dailyEventLimit} ${settings.dailyEventLimit === 1 ? 'intake' : 'intakes'}`;
+        case 'delayedFirstUse':
+            return `Days whose first intake came at ${formatHourLabel(settings.firstUseGoalHour)} or later`;
+        default:
+            return 'Days with at least one cognitive check-in';
+    }
+}
+
+/**
+ * Minutes from the start of the tracking day to a moment
+ * @param {Date} date - Moment
+ * @param {Object} settings - Settings object
+ * @returns {number} Minutes since the day began at dayStartHour
+ */
+function getMinutesIntoTrackingDay(date, settings) {
+    const wallClock = toLocalWallClock(date, settings);
+    const minutes = wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes();
+    return (minutes - settings.dayStartHour * 60 + 1440) % 1440;
+}
+
+/**
+ * Summarise logs per tracking day
+ * @param {Array} logs - Log entries
+ * @returns {Map<string, Object>} { entries, intakes, mg, firstIntake, lastIntake, checkIns } by date key
+ */
+function summarizeStreakDays(logs) {
+    const days = new Map();
+    logs.forEach(log => {
+        if (!days.has(log.date)) {
+            days.set(log.date, { entries: 0, intakes: 0, mg: 0, firstIntake: null, lastIntake: null, checkIns: 0 });
+        }
+        const day = days.get(log.date);
+        day.entries++;
+        if (isCheckInLog(log)) {
+            day.checkIns++;
+        }
+        if (!isIntakeLog(log)) return;
+        const when = new Date(log.timestamp);
+        day.intakes++;
+        day.mg += log.estimatedMg || 0;
+        if (!day.firstIntake || when < day.firstIntake) day.firstIntake = when;
+        if (!day.lastIntake || when > day.lastIntake) day.lastIntake = when;
+    });
+    return days;
+}
+
+/**
+ * Whether a day met a goal
+ * @param {string} goal - Goal key
+ * @param {Object|undefined} day - Summary of the day (undefined when nothing was logged)
+ * @param {string} dateKey - Tracking day in YYYY-MM-DD format
+ * @param {Object} settings - Settings object
+ * @returns {boolean|null} Whether the goal was met, or null when it does not apply that day
+ */
+function isStreakGoalMet(goal, day, dateKey, settings) {
+    const summary = day || { entries: 0, intakes: 0, mg: 0, firstIntake: null, lastIntake: null, checkIns: 0 };
+    switch (goal) {
+        case 'logging':
+            return summary.entries > 0;
+        case 'nicotineFree': {
+            if (!settings.quitMode) return null;
+            const quitAt = new Date(settings.quitMode.quitAt);
+            if (dateKey < getLocalDateKey(quitAt, settings)) return null;
+            return !summary.lastIntake || summary.lastIntake < quitAt;
+        }
+        case 'underMgLimit':
+            return summary.mg <= getDailyMgLimit(dateKey, settings);
+        case 'underEventLimit':
+            return summary.intakes <= settings.dailyEventLimit;
+        case 'delayedFirstUse':
+            return !summary.firstIntake ||
+                getMinutesIntoTrackingDay(summary.firstIntake, settings) >=
+                ((settings.firstUseGoalHour - settings.dayStartHour + 24) % 24) * 60;
+        default:
+            return summary.checkIns > 0;
+    }
+}
+
+/**
+ * Settings the streak records depend on, to tell when they need a new scan
+ * @param {Object} settings - Settings object
+ * @returns {string} Key (the dashboard choice is left out as it changes no record)
+ */
+function getStreakRecordKey(settings) {
+    return JSON.stringify({ ...settings, dashboardStreak: null });
+}
+
+/**
+ * Longest streak of every goal over the whole history, from one full scan
+ * The scan runs up to yesterday and also keeps the streak still running then,
+ * so later refreshes only need the days since.
+ * @param {Object} settings - Settings object
+ * @returns {Promise<Object>} { key, revision, through, firstDate, goals } where goals maps each goal key to { longest, run }
+ */
+async function scanStreakRecords(settings) {
+    const revision = getLogRevision();
+    const logs = await loadLogs();
+    const days = summarizeStreakDays(logs);
+    const through = shiftDateKey(getTodayKey(), -1);
+    const firstDate = logs.reduce((first, log) => first === null || log.date < first ? log.date : first, null);
+
+    const goals = {};
+    getAvailableStreakGoals(settings).forEach(goal => {
+        let longest = 0;
+        let run = 0;
+        for (let date = firstDate; date !== null && date <= through; date = shiftDateKey(date, 1)) {
+            run = isStreakGoalMet(goal, days.get(date), date, settings) ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        }
+        goals[goal] = { longest, run };
+    });
+
+    return { key: getStreakRecordKey(settings), revision, through, firstDate, goals };
+}
+
+/**
+ * Streak records, scanning the history again only when they may be out of date
+ * That is after a settings change or a log write on a day the scan covered.
+ * @param {Object} settings - Settings object
+ * @returns {Promise<Object>} Result of scanStreakRecords
+ */
+async function loadStreakRecords(settings) {
+    const cached = streakRecords;
+    const changedFrom = cached ? getEarliestLogChange(cached.revision) : null;
+    if (!cached || cached.key !== getStreakRecordKey(settings) ||
+        (changedFrom !== null && changedFrom <= cached.through)) {
+        streakRecords = await scanStreakRecords(settings);
+    }
+    return streakRecords;
+}
+
+/**
+ * Current and longest streak of every available goal
+ * History starts at the first day with any entry, so days before tracking
+ * began never count towards a goal. Only the days since the cached records
+ * (and the calendar month, when given) are read from storage.
+ * @param {Object} [settings] - Settings object
+ * @param {string} [month] - Calendar month to include, as YYYY-MM
+ * @returns {Promise<Object>} { days, firstDate, goals } where goals maps each goal key to { current, longest }
+ */
+async function computeStreakStats(settings = loadSettings(), month = null) {
+    const records = await loadStreakRecords(settings);
+    const today = getTodayKey();
+    const since = shiftDateKey(records.through, 1);
+    const start = month && `${month}-01` < since ? `${month}-01` : since;
+    const logs = await getLogsByDateRange(start, today);
+    const days = summarizeStreakDays(logs);
+    const firstDate = logs.reduce((first, log) => log.date < first ? log.date : first, records.firstDate || today);
+
+    const goals = {};
+    getAvailableStreakGoals(settings).forEach(goal => {
+        let { longest, run } = records.goals[goal];
+        let previous = run;
+        for (let date = since; date <= today; date = shiftDateKey(date, 1)) {
+            previous = run;
+            run = date >= firstDate && isStreakGoalMet(goal, days.get(date), date, settings) ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        }
+
+        const current = STREAK_PENDING_GOALS.includes(goal) && !isStreakGoalMet(goal, days.get(today), today, settings)
+            ? previous
+            : run;
+        goals[goal] = { current, longest };
+    });
+
+    return { days, firstDate, goals };
+}
+
+/**
+ * Format a number of days, e.g. "1 Day" or "12 Days"
+ * @param {number} days - Number of days
+ * @returns {string} Formatted count
+ */
+function formatStreakDays(days) {
+    return `${days} ${days === 1 ? 'Day' : 'Days'}`;
+}
+
+/**
+ * Update the dashboard streak card with the chosen goal
+ * @param {Object} settings - Settings object
+ * @returns {Promise<void>}
+ */
+async function updateStreakCard(settings) {
+    const goal = getDashboardStreakGoal(settings);
+    const stats = await computeStreakStats(settings);
+    const { current, longest } = stats.goals[goal];
+    document.getElementById('streakLabel').textContent = STREAK_GOALS[goal].label;
+    document.getElementById('streakDays').textContent = formatStreakDays(current);
+    document.getElementById('streakBest').textContent = longest > current
+        ? `Best: ${formatStreakDays(longest).toLowerCase()}`
+        : 'Your best yet';
+}
+
+/**
+ * Set up event listeners for the streak modal
+ */
+function setupStreakEventListeners() {
+    document.getElementById('openStreaksBtn').addEventListener('click', () => {
+        openStreakModal();
+    });
+
+    document.getElementById('closeStreaks').addEventListener('click', () => {
+        closeModal('streakModal');
+    });
+
+    document.getElementById('streakCalendarPrev').addEventListener('click', () => {
+        shiftStreakCalendar(-1);
+    });
+
+    document.getElementById('streakCalendarNext').addEventListener('click', () => {
+        shiftStreakCalendar(1);
+    });
+
+    document.getElementById('dashboardStreak').addEventListener('change', (e) => {
+        saveStreakSetting({ dashboardStreak: e.target.value });
+    });
+
+    document.getElementById('firstUseGoalHour').addEventListener('change', (e) => {
+        saveStreakSetting({ firstUseGoalHour: parseInt(e.target.value) });
+    });
+}
+
+/**
+ * Save a streak setting chosen in the modal and redraw
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<void>}
+ */
+async function saveStreakSetting(changes) {
+    saveSettings({ ...loadSettings(), ...changes });
+    await renderStreakModal();
+    updateDashboard();
+}
+
+/**
+ * Open the streak modal on the current month
+ * @returns {Promise<void>}
+ */
+async function openStreakModal() {
+    streakCalendarMonth = null;
+    const settings = loadSettings();
+
+    const goalSelect = document.getElementById('dashboardStreak');
+    goalSelect.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = 'auto';
+    auto.textContent = 'Automatic (nicotine-free days in quit mode)';
+    goalSelect.appendChild(auto);
+    getAvailableStreakGoals(settings).forEach(goal => {
+        const option = document.createElement('option');
+        option.value = goal;
+        option.textContent = STREAK_GOALS[goal].label;
+        goalSelect.appendChild(option);
+    });
+    goalSelect.value = getAvailableStreakGoals(settings).includes(settings.dashboardStreak) ? settings.dashboardStreak : 'auto';
+
+    const hourSelect = document.getElementById('firstUseGoalHour');
+    hourSelect.innerHTML = '';
+    for (let hour = 0; hour < 24; hour++) {
+        const option = document.createElement('option');
+        option.value = String(hour);
+        option.textContent = formatHourLabel(hour);
+        hourSelect.appendChild(option);
+    }
+    hourSelect.value = String(settings.firstUseGoalHour);
+
+    await renderStreakModal();
+    openModal('streakModal');
+}
+
+/**
+ * Move the streak calendar by a number of months
+ * @param {number} months - Months to move (negative for earlier)
+ * @returns {Promise<void>}
+ */
+async function shiftStreakCalendar(months) {
+    const [year, month] = (streakCalendarMonth || getTodayKey().slice(0, 7)).split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+    streakCalendarMonth = shifted.toISOString().slice(0, 7);
+    await renderStreakModal();
+}
+
+/**
+ * Render the goal list and calendar in the streak modal
+ * @returns {Promise<void>}
+ */
+async function renderStreakModal() {
+    const settings = loadSettings();
+    const stats = await computeStreakStats(settings, streakCalendarMonth || getTodayKey().slice(0, 7));
+    const goals = getAvailableStreakGoals(settings);
+
+    const list = document.getElementById('streakGoalList');
+    list.innerHTML = '';
+    goals.forEach(goal => {
+        const { current, longest } = stats.goals[goal];
+        const row = document.createElement('div');
+        row.className = 'product-item';
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        const dot = document.createElement('span');
+        dot.className = `streak-dot met streak-dot-${goal}`;
+        name.appendChild(dot);
+        name.appendChild(document.createTextNode(STREAK_GOALS[goal].label));
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = describeStreakGoal(goal, settings);
+        text.appendChild(name);
+        text.appendChild(details);
+
+        const counts = document.createElement('span');
+        counts.className = 'streak-goal-counts';
+        counts.textContent = `${formatStreakDays(current)} · best ${longest}`;
+
+        row.appendChild(text);
+        row.appendChild(counts);
+        list.appendChild(row);
+    });
+
+    renderStreakCalendar(stats, goals, settings);
+}
+
+/**
+ * Render one month with a dot per goal on every tracked day
+ * Filled dots mark goals that were met, hollow ones goals that were missed.
+ * @param {Object} stats - Result of computeStreakStats
+ * @param {Array<string>} goals - Goals to show
+ * @param {Object} settings - Settings object
+ */
+function renderStreakCalendar(stats, goals, settings) {
+    const today = getTodayKey();
+    const month = streakCalendarMonth || today.slice(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+    document.getElementById('streakCalendarTitle').textContent =
+        new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    document.getElementById('streakCalendarNext').disabled = month >= today.slice(0, 7);
+
+    const grid = document.getElementById('streakCalendar');
+    grid.innerHTML = '';
+    ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(weekday => {
+        const heading = document.createElement('div');
+        heading.className = 'streak-calendar-weekday';
+        heading.textContent = weekday;
+        grid.appendChild(heading);
+    });
+
+    const leading = new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay();
+    for (let i = 0; i < leading; i++) {
+        grid.appendChild(document.createElement('div'));
+    }
+
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    for (let dayNumber = 1; dayNumber <= daysInMonth; dayNumber++) {
+        const date = `${month}-${String(dayNumber).padStart(2, '0')}`;
+        const cell = document.createElement('div');
+        cell.className = 'streak-calendar-day';
+        const number = document.createElement('div');
+        number.textContent = String(dayNumber);
+        cell.appendChild(number);
+
+        const tracked = date >= stats.firstDate && date <= today;
+        cell.classList.toggle('untracked', !tracked);
+        cell.classList.toggle('today', date === today);
+        if (tracked) {
+            const dots = document.createElement('div');
+            dots.className = 'streak-calendar-dots';
+            const met = [];
+            goals.forEach(goal => {
+                const result = isStreakGoalMet(goal, stats.days.get(date), date, settings);
+                if (result === null) return;
+                const dot = document.createElement('span');
+                dot.className = `streak-dot streak-dot-${goal}${result ? ' met' : ''}`;
+                dots.appendChild(dot);
+                if (result) met.push(STREAK_GOALS[goal].short);
+            });
+            cell.appendChild(dots);
+            cell.title = `${formatHistoryDate(date)}: ${met.length > 0 ? met.join(', ') : 'no goals met'}`;
+        }
+        grid.appendChild(cell);
+    }
+}
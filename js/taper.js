@@ -0,0 +1,346 @@
+/**
+ * Taper plans for NicoTracker
+ * A plan lowers the daily mg limit from a starting dose to a target dose by an
+ * end date. While one is active (settings.taperPlan), its limit for the day
+ * replaces dailyMgLimit; after the end date it holds at the target. Also
+ * renders the plan builder and the day-by-day adherence list.
+ */
+
+// Curves a plan can follow
+const TAPER_CURVES = {
+    linear: 'Linear (a little less every day)',
+    percent: 'Same percentage less every week',
+    stepwise: 'Equal steps down every week'
+};
+
+// A percentage curve never reaches 0, so a plan to quit aims for this first
+const TAPER_ZERO_FLOOR_MG = 1;
+
+// Weeks shown in the preview before it skips to the end
+const TAPER_PREVIEW_WEEKS = 6;
+
+/**
+ * Coerce a stored taper plan, dropping it when it cannot be followed
+ * @param {*} plan - Raw plan
+ * @returns {Object|null} { startDate, endDate, startMg, targetMg, curve } or null
+ */
+function normalizeTaperPlan(plan) {
+    if (!plan || typeof plan !== 'object') return null;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const startMg = Number(plan.startMg);
+    const targetMg = Number(plan.targetMg);
+    if (!datePattern.test(plan.startDate) || !datePattern.test(plan.endDate) || plan.endDate <= plan.startDate) {
+        return null;
+    }
+    if (!Number.isFinite(startMg) || !Number.isFinite(targetMg) || targetMg < 0 || startMg <= targetMg) {
+        return null;
+    }
+    return {
+        startDate: plan.startDate,
+        endDate: plan.endDate,
+        startMg,
+        targetMg,
+        curve: plan.curve in TAPER_CURVES ? plan.curve : 'linear'
+    };
+}
+
+/**
+ * Limit of a plan on one day
+ * Linear lowers the limit daily; the weekly curves hold it for 7 days at a
+ * time. Every curve reaches the target on the end date.
+ * @param {Object|null} plan - Taper plan
+ * @param {string} dateKey - Tracking day in YYYY-MM-DD format
+ * @returns {number|null} Limit in mg, or null before the plan starts
+ */
+function getTaperLimit(plan, dateKey) {
+    if (!plan || dateKey < plan.startDate) return null;
+    const totalDays = countDaysBetween(plan.startDate, plan.endDate);
+    const day = countDaysBetween(plan.startDate, dateKey);
+    if (day >= totalDays) return plan.targetMg;
+
+    const weeks = Math.ceil(totalDays / 7);
+    const week = Math.floor(day / 7);
+    let limit;
+    switch (plan.curve) {
+        case 'percent':
+            limit = plan.startMg * Math.pow(getTaperFloorMg(plan) / plan.startMg, week / weeks);
+            break;
+        case 'stepwise':
+            limit = plan.startMg - (plan.startMg - plan.targetMg) * week / weeks;
+            break;
+        default:
+            limit = plan.startMg + (plan.targetMg - plan.startMg) * day / totalDays;
+    }
+    return Math.round(limit * 10) / 10;
+}
+
+/**
+ * Dose a percentage curve aims for before dropping to the target
+ * @param {Object} plan - Taper plan
+ * @returns {number} Target, or TAPER_ZERO_FLOOR_MG when quitting
+ */
+function getTaperFloorMg(plan) {
+    return plan.targetMg > 0 ? plan.targetMg : Math.min(TAPER_ZERO_FLOOR_MG, plan.startMg / 2);
+}
+
+/**
+ * Daily mg limit for a tracking day: the taper plan's if one applies, else the static one
+ * @param {string} dateKey - Tracking day in YYYY-MM-DD format
+ * @param {Object} [settings] - Settings object (loaded if omitted)
+ * @returns {number} Limit in mg
+ */
+function getDailyMgLimit(dateKey, settings = loadSettings()) {
+    const taperLimit = getTaperLimit(settings.taperPlan, dateKey);
+    return taperLimit === null ? settings.dailyMgLimit : taperLimit;
+}
+
+/**
+ * One-line description of a plan, e.g. "30 → 5 mg by Sun, Dec 6, 2026, equal steps down every week"
+ * @param {Object|null} plan - Taper plan
+ * @returns {string} Description ('—' for no plan)
+ */
+function describeTaperPlan(plan) {
+    if (!plan) return '—';
+    return `${plan.startMg} → ${plan.targetMg} mg by ${formatHistoryDate(plan.endDate)}, ${TAPER_CURVES[plan.curve].toLowerCase()}`;
+}
+
+/**
+ * Set up event listeners for the taper plan modal
+ */
+function setupTaperEventListeners() {
+    document.getElementById('openTaperBtn').addEventListener('click', () => {
+        openTaperModal();
+    });
+
+    document.getElementById('closeTaper').addEventListener('click', () => {
+        closeModal('taperModal');
+    });
+
+    ['taperStartMg', 'taperTargetMg', 'taperEndDate', 'taperCurve'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('input', () => {
+            updateTaperPreview();
+        });
+    });
+
+    document.getElementById('saveTaperBtn').addEventListener('click', () => {
+        saveTaperPlanFromUI();
+    });
+
+    document.getElementById('endTaperBtn').addEventListener('click', () => {
+        endTaperPlanFromUI();
+    });
+}
+
+/**
+ * Open the taper modal with the active plan, or a suggested one
+ * A new plan starts from the average of recent days with any intake.
+ * @returns {Promise<void>}
+ */
+async function openTaperModal() {
+    const settings = loadSettings();
+    const plan = settings.taperPlan;
+    const today = getTodayKey();
+
+    let startMg = plan ? plan.startMg : settings.dailyMgLimit;
+    if (!plan) {
+        const recent = (await getLogsByDateRange(shiftDateKey(today, -7), shiftDateKey(today, -1))).filter(isIntakeLog);
+        const days = new Set(recent.map(log => log.date)).size;
+        if (days > 0) {
+            startMg = Math.round(recent.reduce((sum, log) => sum + (log.estimatedMg || 0), 0) / days);
+        }
+    }
+
+    document.getElementById('taperStartMg').value = startMg;
+    document.getElementById('taperTargetMg').value = plan ? plan.targetMg : 0;
+    document.getElementById('taperEndDate').value = plan ? plan.endDate : shiftDateKey(today, 56);
+    document.getElementById('taperEndDate').min = shiftDateKey(today, 1);
+    document.getElementById('taperCurve').value = plan ? plan.curve : 'linear';
+    document.getElementById('saveTaperBtn').textContent = plan ? 'Restart Plan From Today' : 'Start Plan';
+    document.getElementById('endTaperBtn').style.display = plan ? 'inline-flex' : 'none';
+    document.getElementById('taperSummary').textContent = plan
+        ? `Active since ${formatHistoryDate(plan.startDate)}: ${describeTaperPlan(plan)}.`
+        : `Lower your daily limit step by step. Until you start a plan the fixed limit of ${settings.dailyMgLimit} mg applies.`;
+
+    updateTaperPreview();
+    await renderTaperAdherence(plan);
+    openModal('taperModal');
+}
+
+/**
+ * Read the plan in the form, starting today
+ * @returns {Object} { plan, error } the plan, or a message saying what is wrong
+ */
+function readTaperPlanFromUI() {
+    const startMg = parseFloat(document.getElementById('taperStartMg').value);
+    const targetMg = parseFloat(document.getElementById('taperTargetMg').value);
+    const endDate = document.getElementById('taperEndDate').value;
+    const today = getTodayKey();
+
+    if (isNaN(startMg) || startMg <= 0) {
+        return { plan: null, error: 'Enter the daily mg you start from' };
+    }
+    if (isNaN(targetMg) || targetMg < 0 || targetMg >= startMg) {
+        return { plan: null, error: 'The target must be lower than the starting dose' };
+    }
+    if (!endDate || endDate <= today) {
+        return { plan: null, error: 'Choose an end date after today' };
+    }
+    return {
+        plan: normalizeTaperPlan({
+            startDate: today,
+            endDate,
+            startMg,
+            targetMg,
+            curve: document.getElementById('taperCurve').value
+        }),
+        error: null
+    };
+}
+
+/**
+ * Show the weekly limits the plan in the form would set
+ */
+function updateTaperPreview() {
+    const preview = document.getElementById('taperPreview');
+    const { plan, error } = readTaperPlanFromUI();
+    if (error) {
+        preview.textContent = error;
+        return;
+    }
+
+    const totalDays = countDaysBetween(plan.startDate, plan.endDate);
+    const weeks = Math.ceil(totalDays / 7);
+    const steps = [];
+    for (let week = 0; week < Math.min(weeks, TAPER_PREVIEW_WEEKS); week++) {
+        steps.push(`Week ${week + 1}: ${getTaperLimit(plan, shiftDateKey(plan.startDate, week * 7))} mg`);
+    }
+    if (weeks > TAPER_PREVIEW_WEEKS) {
+        steps.push('…');
+    }
+    steps.push(`From ${formatHistoryDate(plan.endDate)}: ${plan.targetMg} mg`);
+
+    let text = `Starts today. ${steps.join(' · ')}.`;
+    if (plan.curve === 'percent') {
+        const weeklyCut = 1 - Math.pow(getTaperFloorMg(plan) / plan.startMg, 1 / weeks);
+        text += ` That is about ${Math.round(weeklyCut * 100)}% less each week.`;
+    }
+    preview.textContent = text;
+}
+
+/**
+ * Save the plan in the form and apply it from today
+ * @returns {Promise<void>}
+ */
+async function saveTaperPlanFromUI() {
+    const { plan, error } = readTaperPlanFromUI();
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    const settings = loadSettings();
+    if (settings.taperPlan && !confirm('Replace your current plan with this one, starting today?')) {
+        return;
+    }
+
+    saveSettings({ ...settings, taperPlan: plan });
+    closeModal('taperModal');
+    updateDashboard();
+    showToast(`Taper plan started: ${getTaperLimit(plan, plan.startDate)} mg today`);
+}
+
+/**
+ * End the active plan and go back to the fixed daily limit
+ * @returns {Promise<void>}
+ */
+async function endTaperPlanFromUI() {
+    const settings = loadSettings();
+    if (!settings.taperPlan) return;
+    if (!confirm(`End your taper plan? The fixed limit of ${settings.dailyMgLimit} mg applies again.`)) return;
+
+    saveSettings({ ...settings, taperPlan: null });
+    closeModal('taperModal');
+    updateDashboard();
+    showToast('Taper plan ended');
+}
+
+/**
+ * List every day of the plan so far with its limit and the mg taken, newest first
+ * @param {Object|null} plan - Active taper plan
+ * @returns {Promise<void>}
+ */
+async function renderTaperAdherence(plan) {
+    const section = document.getElementById('taperAdherenceSection');
+    section.style.display = plan ? 'block' : 'none';
+    if (!plan) return;
+
+    const today = getTodayKey();
+    const logs = (await getLogsByDateRange(plan.startDate, today)).filter(isIntakeLog);
+    const mgByDate = new Map();
+    logs.forEach(log => {
+        mgByDate.set(log.date, (mgByDate.get(log.date) || 0) + (log.estimatedMg || 0));
+    });
+
+    const list = document.getElementById('taperAdherenceList');
+    list.innerHTML = '';
+    let completed = 0;
+    let kept = 0;
+    for (let date = today; date >= plan.startDate; date = shiftDateKey(date, -1)) {
+        const limit = getTaperLimit(plan, date);
+        const used = mgByDate.get(date) || 0;
+        const within = used <= limit;
+        if (date !== today) {
+            completed++;
+            if (within) kept++;
+        }
+
+        const row = document.createElement('div');
+        row.className = `product-item taper-day${within ? '' : ' over-limit'}`;
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'product-item-name';
+        name.textContent = date === today ? `${formatHistoryDate(date)} (today)` : formatHistoryDate(date);
+        const details = document.createElement('div');
+        details.className = 'product-item-details';
+        details.textContent = `${used.toFixed(1)} of ${limit} mg`;
+        text.appendChild(name);
+        text.appendChild(details);
+
+        const status = document.createElement('span');
+        status.className = 'taper-day-status';
+        if (!within) {
+            status.textContent = '✗ Over';
+        } else {
+            status.textContent = date === today ? 'So far so good' : '✓ Kept';
+        }
+
+        row.appendChild(text);
+        row.appendChild(status);
+        list.appendChild(row);
+    }
+
+    document.getElementById('taperAdherenceSummary').textContent = completed === 0
+        ? 'Your first day on the plan. Days you stay within the limit are ticked here.'
+        : `You kept to the limit on ${kept} of ${completed} ${completed === 1 ? 'day' : 'days'} (${Math.round(kept / completed * 100)}%).`;
+}
+
+/**
+ * Show the plan's progress under the daily limit on the dashboard
+ * @param {string} today - Today's tracking day key
+ * @param {Object} settings - Settings object
+ */
+function updateTaperStatus(today, settings) {
+    const plan = settings.taperPlan;
+    const active = getTaperLimit(plan, today) !== null;
+    document.getElementById('limitLabel').textContent = active ? 'Taper Limit Today' : 'Daily Mg Limit';
+    document.getElementById('openTaperBtn').textContent = active ? 'View plan' : 'Plan a taper';
+
+    let status = '';
+    if (active) {
+        const totalDays = countDaysBetween(plan.startDate, plan.endDate);
+        const day = countDaysBetween(plan.startDate, today) + 1;
+        status = day <= totalDays
+            ? `Day ${day} of ${totalDays} · tomorrow ${getTaperLimit(plan, shiftDateKey(today, 1))} mg`
+            : `Plan complete · holding at ${plan.targetMg} mg`;
+    }
+    document.getElementById('taperStatus').textContent = status;
+}
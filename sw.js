@@ -0,0 +1,221 @@
+/**
+ * Service worker for NicoTracker
+ * Precaches the app shell and serves it cache-first so the app starts offline.
+ * A new version installs in the background and waits until the page asks it
+ * to take over (see pwa.js).
+ *
+ * It also keeps the check-in reminders the page hands over (see reminders.js)
+ * and shows the due ones when periodic background sync wakes it, so they fire
+ * while the app is closed.
+ *
+ * Bump CACHE_VERSION whenever any file in APP_SHELL changes.
+ */
+
+const CACHE_VERSION = 'nicotracker-v30';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/styles.css',
+    'assets/nicoTracker-logo.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png',
+    'assets/icons/apple-touch-icon.png',
+    'assets/vendor/chart.umd.min.js',
+    'assets/fonts/inter.css',
+    'assets/fonts/inter-latin-300-normal.woff2',
+    'assets/fonts/inter-latin-400-normal.woff2',
+    'assets/fonts/inter-latin-500-normal.woff2',
+    'assets/fonts/inter-latin-600-normal.woff2',
+    'assets/fonts/inter-latin-700-normal.woff2',
+    'assets/fonts/inter-latin-ext-300-normal.woff2',
+    'assets/fonts/inter-latin-ext-400-normal.woff2',
+    'assets/fonts/inter-latin-ext-500-normal.woff2',
+    'assets/fonts/inter-latin-ext-600-normal.woff2',
+    'assets/fonts/inter-latin-ext-700-normal.woff2',
+    'js/db.js',
+    'js/crypto.js',
+    'js/storage.js',
+    'js/lock.js',
+    'js/migrations.js',
+    'js/pharmacokinetics.js',
+    'js/charts.js',
+    'js/history.js',
+    'js/products.js',
+    'js/choices.js',
+    'js/cravings.js',
+    'js/checkins.js',
+    'js/reminders.js',
+    'js/taper.js',
+    'js/quit.js',
+    'js/streaks.js',
+    'js/spending.js',
+    'js/quicklog.js',
+    'js/csv.js',
+    'js/import.js',
+    'js/pwa.js',
+    'js/app.js'
+];
+
+// Check-in reminders waiting to be shown, keyed by notification tag
+const REMINDER_DB_NAME = 'nicotracker-reminders';
+const REMINDER_STORE = 'pending';
+
+// Must match REMINDER_SYNC_TAG in reminders.js
+const REMINDER_SYNC_TAG = 'checkin-reminders';
+
+// A reminder found later than this after it was due is dropped unshown
+const REMINDER_EXPIRY_MINUTES = 120;
+
+/**
+ * Read and rewrite the pending reminders in one transaction
+ * @param {Function} update - Receives the object store and every pending reminder;
+ *   queues its writes on the store and returns a result
+ * @returns {Promise<*>} Result of update, once the transaction completes
+ */
+function updateReminderStore(update) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(REMINDER_DB_NAME, 1);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(REMINDER_STORE, { keyPath: 'options.tag' });
+        };
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(REMINDER_STORE, 'readwrite');
+            const store = transaction.objectStore(REMINDER_STORE);
+            let result;
+            store.getAll().onsuccess = (event) => {
+                result = update(store, event.target.result);
+            };
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+/**
+ * Whether a pending reminder matches a cancellation from the page
+ * @param {Object} reminder - Pending reminder ({ title, options })
+ * @param {Object} message - { intakeId, until } (null for any intake / any time)
+ * @returns {boolean} True when the reminder should be dropped
+ */
+function matchesReminderCancel(reminder, message) {
+    const data = reminder.options.data;
+    return (message.intakeId === null || data.intakeId === message.intakeId) &&
+        (message.until === null || data.dueAt <= message.until);
+}
+
+/**
+ * Apply a reminder message from the page
+ * Scheduling replaces whatever was pending for the intake.
+ * @param {Object} message - SCHEDULE_CHECK_IN_REMINDERS or CANCEL_CHECK_IN_REMINDERS message
+ * @returns {Promise<void>}
+ */
+function updatePendingReminders(message) {
+    const cancel = message.type === 'SCHEDULE_CHECK_IN_REMINDERS'
+        ? { intakeId: message.intakeId, until: null }
+        : message;
+    return updateReminderStore((store, pending) => {
+        pending
+            .filter(reminder => matchesReminderCancel(reminder, cancel))
+            .forEach(reminder => store.delete(reminder.options.tag));
+        if (message.type === 'SCHEDULE_CHECK_IN_REMINDERS') {
+            message.notifications.forEach(notification => store.put(notification));
+        }
+    });
+}
+
+/**
+ * Show the pending reminders that have come due
+ * @returns {Promise<void>}
+ */
+async function showDueReminders() {
+    const now = Date.now();
+    const due = await updateReminderStore((store, pending) => {
+        const dueNow = pending.filter(reminder => reminder.options.data.dueAt <= now);
+        dueNow.forEach(reminder => store.delete(reminder.options.tag));
+        return dueNow;
+    });
+    await Promise.all(due
+        .filter(reminder => now - reminder.options.data.dueAt <= REMINDER_EXPIRY_MINUTES * 60000)
+        .map(reminder => self.registration.showNotification(reminder.title, reminder.options)));
+}
+
+self.addEventListener('install', (event) => {
+    // Fetch fresh copies so a new version never precaches stale HTTP-cached files
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache =>
+            cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data.type === 'SCHEDULE_CHECK_IN_REMINDERS' || event.data.type === 'CANCEL_CHECK_IN_REMINDERS') {
+        event.waitUntil(updatePendingReminders(event.data));
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(showDueReminders());
+    }
+});
+
+// A tapped check-in reminder opens the check-in for its intake
+self.addEventListener('notificationclick', (event) => {
+    const data = event.notification.data || {};
+    event.notification.close();
+    if (!data.intakeId) return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) {
+                windows[0].postMessage({ type: 'OPEN_CHECK_IN', intakeId: data.intakeId });
+                return windows[0].focus();
+            }
+            return self.clients.openWindow(data.url);
+        })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Every page load gets the cached shell, whatever its query string
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});